@@ -0,0 +1,63 @@
+/**
+ * QuickDefine - Lemmatizer check
+ * Asserts the lemma candidates of common inflected words, most likely first.
+ * Run with `npm test`.
+ */
+
+'use strict';
+
+const assert = require('assert');
+
+require('../src/lemmatizer.js');
+
+const { getLemmaCandidates } = globalThis.QuickDefineLemmatizer;
+
+// Word → expected leading candidates, in order
+const CASES = {
+  // -ed
+  used: ['use'],
+  aged: ['age'],
+  walked: ['walk'],
+  stopped: ['stop'],
+  agreed: ['agree'],
+  // -ied
+  tied: ['tie'],
+  died: ['die'],
+  carried: ['carry'],
+  // -ing
+  making: ['make'],
+  dying: ['die'],
+  lying: ['lie'],
+  flying: ['fly'],
+  // Plurals
+  buses: ['bus'],
+  gases: ['gas'],
+  causes: ['caus', 'cause'],
+  uses: ['use'],
+  knives: ['knife'],
+  wolves: ['wolf'],
+  lives: ['live'],
+  gives: ['give'],
+  leaves: ['leave', 'leaf'],
+  moves: ['move'],
+  boxes: ['box'],
+  classes: ['class'],
+  cats: ['cat'],
+};
+
+let failures = 0;
+for (const [word, expected] of Object.entries(CASES)) {
+  const candidates = getLemmaCandidates(word);
+  try {
+    assert.deepStrictEqual(candidates.slice(0, expected.length), expected);
+  } catch (error) {
+    failures++;
+    console.error(`${word}: expected ${JSON.stringify(expected)} first, got ${JSON.stringify(candidates)}`);
+  }
+}
+
+if (failures > 0) {
+  process.exitCode = 1;
+} else {
+  console.log(`Lemmatizer: ${Object.keys(CASES).length} words OK`);
+}
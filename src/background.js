@@ -1,15 +1,335 @@
 /**
  * QuickDefine - Background Service Worker
- * Service worker for the browser extension
+ * Service worker for the browser extension. Performs dictionary lookups for
+ * all tabs so they share one cache.
  */
 
+importScripts('utils.js', 'providers.js', 'lemmatizer.js', 'suggest.js', 'idioms.js', 'offline.js', 'sites.js', 'settings.js', 'messages.js', 'history.js', 'srs.js');
+
+const { DictionaryManager, formatErrorMessage } = self.QuickDefineUtils;
+const { createProviders } = self.QuickDefineProviders;
+const { IdiomList } = self.QuickDefineIdioms;
+const { OfflineDictionary } = self.QuickDefineOffline;
+const { SuggestionEngine } = self.QuickDefineSuggest;
+const { applySettings, loadSettings, readSettings, updateSettings, onSettingsChanged } = self.QuickDefineSettings;
+const { getSiteHostname, toggleSite } = self.QuickDefineSites;
+const {
+  MESSAGE_TYPES,
+  isLookupRequest,
+  isCancelLookupRequest,
+  isSuggestRequest,
+  isHistoryWriteRequest,
+  isShowDefinitionMessage,
+} = self.QuickDefineMessages;
+const { getVocabulary, handleWriteRequest } = self.QuickDefineHistory;
+const { getDueItems } = self.QuickDefineSRS;
+
+const BADGE_ALARM = 'quickdefine-review-badge';
+const BADGE_REFRESH_MINUTES = 30;
+const BADGE_COLOR = '#007aff';
+const DISABLED_BADGE_COLOR = '#8e8e93';
+const DEFINE_MENU_ID = 'quickdefine-define';
+const REVIEW_MENU_ID = 'quickdefine-review';
+const HISTORY_MENU_ID = 'quickdefine-history';
+
+// Shared dictionary manager, created with the user's settings on worker start
+const dictionaryReady = loadSettings().then((settings) => {
+  const config = applySettings(QUICKDEFINE_CONFIG, settings);
+  const idioms = new IdiomList(
+    () => fetch(chrome.runtime.getURL(config.PHRASES.IDIOM_LIST)).then(response => response.text()),
+    { lemmatizer: self.QuickDefineLemmatizer, languages: config.PHRASES.LANGUAGES }
+  );
+  const offline = new OfflineDictionary(
+    () => fetch(chrome.runtime.getURL(config.DICTIONARY.OFFLINE.WORD_LIST)).then(response => response.text()),
+    { lemmatizer: self.QuickDefineLemmatizer, languages: config.DICTIONARY.OFFLINE.LANGUAGES }
+  );
+  return new DictionaryManager(config, createProviders(config), { lemmatizer: self.QuickDefineLemmatizer, idioms, offline });
+});
+
+// "Did you mean" matching over the bundled word list, loaded on first use.
+// Kept here rather than in pages, which could otherwise fetch the list.
+const suggestionEngine = new SuggestionEngine(
+  () => fetch(chrome.runtime.getURL(QUICKDEFINE_CONFIG.SUGGESTIONS.WORD_LIST)).then(response => response.text()),
+  { maxDistance: QUICKDEFINE_CONFIG.SUGGESTIONS.MAX_DISTANCE }
+);
+
+// Lookups in flight by sender and request ID, so content scripts can cancel them
+const lookupControllers = new Map();
+
+onSettingsChanged(async (settings) => {
+  const dictionaryManager = await dictionaryReady;
+  dictionaryManager.updateConfig(applySettings(QUICKDEFINE_CONFIG, settings));
+});
+
+/**
+ * Identifies a lookup by the frame that sent it and its request ID
+ * @param {chrome.runtime.MessageSender} sender - Message sender
+ * @param {string} requestId - Request ID
+ * @returns {string} Lookup key
+ */
+function getLookupKey(sender, requestId) {
+  const origin = sender.tab ? `${sender.tab.id}:${sender.frameId}` : sender.url;
+  return `${origin}:${requestId}`;
+}
+
+/**
+ * Answers a lookup request from a content script
+ * @param {Object} request - Validated LookupRequest
+ * @param {chrome.runtime.MessageSender} sender - Message sender
+ * @returns {Promise<Object>} LookupResponse
+ */
+async function handleLookup(request, sender) {
+  const key = getLookupKey(sender, request.requestId);
+  const controller = new AbortController();
+  lookupControllers.set(key, controller);
+
+  try {
+    const dictionaryManager = await dictionaryReady;
+    return await dictionaryManager.getDefinition(request.word, {
+      language: request.language,
+      lemmatize: request.lemmatize,
+      signal: controller.signal,
+    });
+  } catch (error) {
+    console.error('QuickDefine: Dictionary lookup failed', error);
+    return { error: 'network', message: formatErrorMessage(error) };
+  } finally {
+    lookupControllers.delete(key);
+  }
+}
+
+/**
+ * Answers a spelling suggestion request from a content script
+ * @param {Object} request - Validated SuggestRequest
+ * @returns {Promise<{suggestions: string[]}>} Suggestions, best first
+ */
+async function handleSuggest(request) {
+  try {
+    return { suggestions: await suggestionEngine.suggest(request.word, request.limit) };
+  } catch (error) {
+    console.error('QuickDefine: Failed to load suggestions', error);
+    return { suggestions: [] };
+  }
+}
+
+/**
+ * Shows the number of saved words due for review on the action icon
+ */
+async function updateReviewBadge() {
+  try {
+    const dueCount = getDueItems(await getVocabulary()).length;
+    await chrome.action.setBadgeBackgroundColor({ color: BADGE_COLOR });
+    await chrome.action.setBadgeText({ text: dueCount > 0 ? String(Math.min(dueCount, 999)) : '' });
+    await chrome.action.setTitle({
+      title: dueCount > 0 ? `QuickDefine: ${dueCount} word${dueCount === 1 ? '' : 's'} to review` : 'QuickDefine',
+    });
+  } catch (error) {
+    console.error('QuickDefine: Failed to update review badge', error);
+  }
+}
+
+/**
+ * Asks the content script in a frame to define its selection, injecting the
+ * content scripts first if they are not running there (pages opened before
+ * install, frames the manifest doesn't match). Scripts that are already
+ * there but not yet listening are not injected again, which would fail on
+ * their top-level declarations and start a second instance.
+ * @param {number} tabId - Tab ID
+ * @param {number} frameId - Frame ID (0 for the top frame)
+ * @param {string} text - Selected text, used if the page selection is gone
+ */
+async function defineInTab(tabId, frameId, text) {
+  const message = { type: MESSAGE_TYPES.DEFINE_SELECTION, text };
+  try {
+    await chrome.tabs.sendMessage(tabId, message, { frameId });
+  } catch (error) {
+    try {
+      const target = { tabId, frameIds: [frameId] };
+      const [{ result: loaded }] = await chrome.scripting.executeScript({
+        target,
+        func: () => Boolean(globalThis.QuickDefineLoaded),
+      });
+      if (!loaded) {
+        const [{ js }] = chrome.runtime.getManifest().content_scripts;
+        await chrome.scripting.executeScript({ target, files: js });
+      }
+      await chrome.tabs.sendMessage(tabId, message, { frameId });
+    } catch (injectError) {
+      // Pages such as chrome:// and the Web Store cannot be scripted
+      console.warn('QuickDefine: Cannot define on this page', injectError);
+    }
+  }
+}
+
+/**
+ * Forwards a message from a frame to the top frame of its tab, which shows
+ * popups for every frame so they are not clipped by the frame
+ * @param {number} tabId - Tab ID
+ * @param {Object} message - ShowDefinitionMessage or ClosePopupMessage
+ * @returns {Promise<Object>} The top frame's response ({shown} for SHOW_DEFINITION)
+ */
+async function relayToTopFrame(tabId, message) {
+  try {
+    return (await chrome.tabs.sendMessage(tabId, message, { frameId: 0 })) || {};
+  } catch (error) {
+    // No content script in the top frame; the frame shows its own popup
+    return { shown: false };
+  }
+}
+
+/**
+ * Turns QuickDefine on or off for the site open in a tab
+ * @param {chrome.tabs.Tab} tab - The tab whose toolbar button was clicked
+ */
+async function toggleSiteForTab(tab) {
+  let settings;
+  try {
+    settings = await readSettings();
+  } catch (error) {
+    // Toggling against defaults would save over the user's rules
+    console.error('QuickDefine: Failed to read settings, not toggling the site', error);
+    return;
+  }
+
+  const rules = toggleSite(applySettings(QUICKDEFINE_CONFIG, settings), tab.url || '');
+  if (!rules) {
+    // Not a web page; there's nothing to toggle
+    return;
+  }
+
+  // Open tabs pick up the change through onSettingsChanged
+  try {
+    const errors = await updateSettings({ siteRules: rules });
+    if (Object.keys(errors).length > 0) {
+      console.error('QuickDefine: Failed to save site rules', errors);
+    }
+  } catch (error) {
+    // e.g. the settings outgrew the storage.sync item quota
+    console.error('QuickDefine: Failed to save site rules', error);
+  }
+}
+
+/**
+ * Marks the toolbar button of a tab whose site is disabled
+ * @param {number} tabId - Tab ID
+ * @param {string} url - Page URL
+ * @param {boolean} enabled - Whether QuickDefine is enabled on the page
+ */
+async function updateSiteIndicator(tabId, url, enabled) {
+  const hostname = getSiteHostname(url);
+  try {
+    if (enabled) {
+      // null falls back to the global review badge
+      await chrome.action.setBadgeText({ tabId, text: null });
+      await chrome.action.setTitle({ tabId, title: `QuickDefine — click to turn off on ${hostname}` });
+    } else {
+      await chrome.action.setBadgeBackgroundColor({ tabId, color: DISABLED_BADGE_COLOR });
+      await chrome.action.setBadgeText({ tabId, text: 'off' });
+      await chrome.action.setTitle({ tabId, title: `QuickDefine is off on ${hostname} — click to turn it on` });
+    }
+  } catch (error) {
+    // The tab may have closed meanwhile
+    console.warn('QuickDefine: Failed to update site indicator', error);
+  }
+}
+
 chrome.runtime.onInstalled.addListener((details) => {
   if (details.reason === 'install') {
     console.log('QuickDefine: Extension installed');
   } else if (details.reason === 'update') {
     console.log('QuickDefine: Extension updated');
   }
+
+  // Cards become due as time passes, so refresh the badge periodically
+  chrome.alarms.create(BADGE_ALARM, { periodInMinutes: BADGE_REFRESH_MINUTES });
+  updateReviewBadge();
+
+  chrome.contextMenus.create({
+    id: DEFINE_MENU_ID,
+    title: 'Define “%s”',
+    contexts: ['selection'],
+  });
+
+  // The toolbar button toggles the current site, so its menu links to the pages
+  chrome.contextMenus.create({
+    id: REVIEW_MENU_ID,
+    title: 'Review saved words',
+    contexts: ['action'],
+  });
+  chrome.contextMenus.create({
+    id: HISTORY_MENU_ID,
+    title: 'History',
+    contexts: ['action'],
+  });
 });
 
-console.log('QuickDefine: Background service worker started');
+chrome.runtime.onStartup.addListener(updateReviewBadge);
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === BADGE_ALARM) {
+    updateReviewBadge();
+  }
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.vocabulary) {
+    updateReviewBadge();
+  }
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (isLookupRequest(message)) {
+    handleLookup(message, sender).then(sendResponse);
+    return true; // Respond asynchronously
+  }
+  if (isCancelLookupRequest(message)) {
+    const controller = lookupControllers.get(getLookupKey(sender, message.requestId));
+    if (controller) {
+      controller.abort();
+    }
+  }
+  if (isSuggestRequest(message)) {
+    handleSuggest(message).then(sendResponse);
+    return true; // Respond asynchronously
+  }
+  if (isHistoryWriteRequest(message)) {
+    handleWriteRequest(message).then(sendResponse);
+    return true; // Respond asynchronously
+  }
+  if (isShowDefinitionMessage(message) && sender.tab) {
+    relayToTopFrame(sender.tab.id, message).then(sendResponse);
+    return true; // Respond asynchronously
+  }
+  if (message && message.type === MESSAGE_TYPES.CLOSE_POPUP && sender.tab) {
+    relayToTopFrame(sender.tab.id, message);
+  }
+  if (message && message.type === MESSAGE_TYPES.SITE_STATE && sender.tab) {
+    updateSiteIndicator(sender.tab.id, sender.url, Boolean(message.enabled));
+  }
+  return false;
+});
 
+// The keyboard shortcut defines the selection or the word under the pointer
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === 'define-selection' && tab && tab.id !== undefined) {
+    chrome.tabs.sendMessage(tab.id, { type: MESSAGE_TYPES.DEFINE_SELECTION, focusedOnly: true }).catch(() => {
+      // No content script in this tab (e.g. chrome:// pages)
+    });
+  }
+});
+
+// The context menu works in every trigger mode, even where the content script didn't load
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId === DEFINE_MENU_ID && tab && tab.id !== undefined) {
+    defineInTab(tab.id, info.frameId || 0, info.selectionText || '');
+  } else if (info.menuItemId === REVIEW_MENU_ID) {
+    chrome.tabs.create({ url: chrome.runtime.getURL('src/pages/review.html') });
+  } else if (info.menuItemId === HISTORY_MENU_ID) {
+    chrome.tabs.create({ url: chrome.runtime.getURL('src/pages/history.html') });
+  }
+});
+
+// Clicking the toolbar icon turns QuickDefine on or off for the current site
+chrome.action.onClicked.addListener(toggleSiteForTab);
+
+console.log('QuickDefine: Background service worker started');
@@ -8,26 +8,91 @@
   'use strict';
 
   // Ensure dependencies are loaded
-  if (typeof QUICKDEFINE_CONFIG === 'undefined' || typeof window.QuickDefineUtils === 'undefined') {
-    console.error('QuickDefine: Required dependencies not loaded. Ensure utils.js is loaded first.');
+  if (typeof QUICKDEFINE_CONFIG === 'undefined' || typeof window.QuickDefineUtils === 'undefined' ||
+      typeof window.QuickDefineMessages === 'undefined' || typeof window.QuickDefineSettings === 'undefined' ||
+      typeof window.QuickDefineHistory === 'undefined' ||
+      typeof window.QuickDefineSites === 'undefined' || typeof window.QuickDefineFrames === 'undefined' ||
+      typeof window.QuickDefineEditable === 'undefined' || typeof window.QuickDefineSenses === 'undefined' ||
+      typeof window.QuickDefinePronounce === 'undefined') {
+    console.error('QuickDefine: Required dependencies not loaded. Ensure utils.js, messages.js, senses.js, sites.js, frames.js, editable.js, settings.js, history.js and pronounce.js are loaded first.');
     return;
   }
 
-  const { DictionaryManager, sanitizeHTML, escapeHTML, debounce, copyToClipboard, formatErrorMessage } = window.QuickDefineUtils;
-  const CONFIG = QUICKDEFINE_CONFIG;
+  // One instance per frame; the background checks this flag before injecting
+  if (window.QuickDefineLoaded) {
+    return;
+  }
+  window.QuickDefineLoaded = true;
+
+  const { sanitizeHTML, escapeHTML, debounce, copyToClipboard } = window.QuickDefineUtils;
+  const { MESSAGE_TYPES, requestLookup, requestSuggestions, isShowDefinitionMessage } = window.QuickDefineMessages;
+  const { rankSenses, getContentWords } = window.QuickDefineSenses;
+  const { getSiteState } = window.QuickDefineSites;
+  const {
+    isTopFrame,
+    getShadowRootsFromPath,
+    getFocusedShadowRoots,
+    getShadowRootsAtPoint,
+    getSelectedRange,
+    getFrameOffset,
+    listenForFrameRequests,
+  } = window.QuickDefineFrames;
+  const {
+    isTextControl,
+    getEditableElement,
+    getWordBounds,
+    getTextControlRect,
+    getTextControlTarget,
+    getRangeTarget,
+    replaceTarget,
+  } = window.QuickDefineEditable;
+  const { applySettings, loadSettings, updateSettings, onSettingsChanged } = window.QuickDefineSettings;
+  const { recordLookup, isSaved, saveWord, unsaveWords, getWordKey } = window.QuickDefineHistory;
+  const { choosePronunciation, canSpeak, pronounce } = window.QuickDefinePronounce;
+
+  // Effective configuration: defaults merged with user settings, replaced on change
+  let CONFIG = QUICKDEFINE_CONFIG;
+
+  // Event properties of the modifier keys offered for the 'modifier' trigger
+  const MODIFIER_KEYS = {
+    Alt: 'altKey',
+    Control: 'ctrlKey',
+    Shift: 'shiftKey',
+    Meta: 'metaKey',
+  };
+
+  // Font stacks for the popup font setting
+  const FONT_FAMILIES = {
+    system: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif',
+    serif: 'Georgia, "Times New Roman", Times, serif',
+    'sans-serif': '"Helvetica Neue", Arial, sans-serif',
+    monospace: 'ui-monospace, Menlo, Consolas, "Liberation Mono", monospace',
+  };
 
   // State management
   let currentPopup = null;
   let debounceTimer = null;
-  let dictionaryManager = new DictionaryManager(CONFIG);
+  let hoverTimer = null;
+  let hoverRange = null;
+  let pointerPosition = null;
+  let listening = false;
+  let remotePopupOpen = false; // A frame's popup shown by the top frame
+  let previousFocus = null; // Element to refocus when the popup closes
+  let popupAnchor = null; // Keeps the popup next to its selection ({popup, context, getRect})
+  let trackingFrame = null; // Pending animation frame for anchor tracking
+  let pinnedPopup = null; // Popup detached into a floating panel
+  let definitionsExpanded = null; // "Show more"/"Show less" choice until the setting catches up
+
+  // Lookup in flight for each popup host; a popup renders only its latest lookup
+  const activeLookups = new Map();
 
   /**
    * Validates the selected text
    * @param {string} text - The selected text
-   * @param {Selection} selection - The selection object
+   * @param {Range|null} range - The selected range
    * @returns {boolean} - True if valid, false otherwise
    */
-  function isValidSelection(text, selection) {
+  function isValidSelection(text, range) {
     // Trim whitespace
     const trimmed = text.trim();
     
@@ -43,7 +108,6 @@
     }
 
     // Ignore if selection is inside input field or textarea
-    const range = selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
     if (range) {
       const container = range.commonAncestorContainer;
       const node = container.nodeType === Node.TEXT_NODE 
@@ -67,18 +131,155 @@
     return true;
   }
 
+  /**
+   * Gets the range of the word under a viewport point
+   * @param {number} x - Client X coordinate
+   * @param {number} y - Client Y coordinate
+   * @returns {Range|null} - The word range, or null if the point is not over a word
+   */
+  function getWordRangeAtPoint(x, y) {
+    let node = null;
+    let offset = 0;
+    if (typeof document.caretPositionFromPoint === 'function') {
+      // Passing the open shadow roots lets the caret land inside them
+      const caret = document.caretPositionFromPoint(x, y, { shadowRoots: getShadowRootsAtPoint(x, y) });
+      if (caret) {
+        node = caret.offsetNode;
+        offset = caret.offset;
+      }
+    } else if (typeof document.caretRangeFromPoint === 'function') {
+      const caret = document.caretRangeFromPoint(x, y);
+      if (caret) {
+        node = caret.startContainer;
+        offset = caret.startOffset;
+      }
+    }
+
+    if (!node || node.nodeType !== Node.TEXT_NODE) {
+      return null;
+    }
+
+    // Expand from the caret to the surrounding word
+    const bounds = getWordBounds(node.textContent, offset);
+    if (!bounds) {
+      return null;
+    }
+
+    const range = document.createRange();
+    range.setStart(node, bounds.start);
+    range.setEnd(node, bounds.end);
+
+    // The caret snaps to the nearest text, so make sure the pointer is over the word
+    const rect = range.getBoundingClientRect();
+    if (x < rect.left || x > rect.right || y < rect.top || y > rect.bottom) {
+      return null;
+    }
+    return range;
+  }
+
   /**
    * Gets the bounding rectangle of the selected text
-   * @param {Selection} selection - The selection object
+   * @param {Range|null} range - The selected range
    * @returns {DOMRect|null} - The bounding rectangle
    */
-  function getSelectionBounds(selection) {
-    if (selection.rangeCount === 0) {
-      return null;
+  function getSelectionBounds(range) {
+    return range ? range.getBoundingClientRect() : null;
+  }
+
+  /**
+   * Normalizes a BCP 47 language tag to its primary ISO 639 subtag
+   * @param {string} tag - Language tag (e.g. 'es-MX')
+   * @returns {string} - Primary subtag (e.g. 'es') or '' if invalid
+   */
+  function normalizeLanguage(tag) {
+    const primary = (tag || '').trim().split(/[-_]/)[0].toLowerCase();
+    return /^[a-z]{2,3}$/.test(primary) ? primary : '';
+  }
+
+  /**
+   * Determines the lookup language for a selection: user override, then the
+   * nearest `lang` attribute, then the document language, then the default
+   * @param {Range|null} range - The selected range
+   * @returns {string} - ISO 639 language code
+   */
+  function getSelectionLanguage(range) {
+    return getNodeLanguage(range ? range.commonAncestorContainer : null);
+  }
+
+  /**
+   * Determines the lookup language for text in a node (see getSelectionLanguage)
+   * @param {Node|null} container - Node containing the text
+   * @returns {string} - ISO 639 language code
+   */
+  function getNodeLanguage(container) {
+    const override = normalizeLanguage(CONFIG.LANGUAGE.OVERRIDE);
+    if (override) {
+      return override;
+    }
+
+    if (container) {
+      const node = container.nodeType === Node.TEXT_NODE
+        ? container.parentElement
+        : container;
+      const langElement = node && node.closest ? node.closest('[lang]') : null;
+      const language = langElement ? normalizeLanguage(langElement.getAttribute('lang')) : '';
+      if (language) {
+        return language;
+      }
+    }
+
+    return normalizeLanguage(document.documentElement.lang) || CONFIG.LANGUAGE.DEFAULT;
+  }
+
+  /**
+   * Extracts the sentence surrounding the selection from its block element
+   * @param {Range|null} range - The selected range
+   * @returns {string} - The sentence (trimmed, at most 300 characters)
+   */
+  function getSelectionSentence(range) {
+    if (!range) {
+      return '';
+    }
+
+    const startNode = range.startContainer.nodeType === Node.TEXT_NODE
+      ? range.startContainer.parentElement
+      : range.startContainer;
+    // Inside a shadow root, fall back to the root rather than the document body
+    const root = startNode && startNode.getRootNode ? startNode.getRootNode() : document;
+    const fallback = root instanceof ShadowRoot ? root : document.body;
+    const block = startNode && startNode.closest
+      ? startNode.closest('p, li, td, th, dd, blockquote, h1, h2, h3, h4, h5, h6, article, section, div') || fallback
+      : fallback;
+
+    // Offset of the selection within the block's text
+    const before = document.createRange();
+    before.selectNodeContents(block);
+    before.setEnd(range.startContainer, range.startOffset);
+    const start = before.toString().length;
+    return extractSentence(block.textContent || '', start, start + range.toString().length);
+  }
+
+  /**
+   * Extracts the sentence containing a span of text
+   * @param {string} text - Surrounding text
+   * @param {number} start - Start offset of the span
+   * @param {number} end - End offset of the span
+   * @returns {string} - The sentence (trimmed, at most 300 characters)
+   */
+  function extractSentence(text, start, end) {
+    // Expand to the nearest sentence boundaries
+    const boundary = /[.!?。！？]\s/g;
+    let sentenceStart = 0;
+    let match;
+    while ((match = boundary.exec(text)) !== null && match.index < start) {
+      sentenceStart = match.index + match[0].length;
     }
+    boundary.lastIndex = end;
+    match = boundary.exec(text);
+    const sentenceEnd = match ? match.index + 1 : text.length;
 
-    const range = selection.getRangeAt(0);
-    return range.getBoundingClientRect();
+    const sentence = text.slice(sentenceStart, sentenceEnd).replace(/\s+/g, ' ').trim();
+    return sentence.length > 300 ? `${sentence.slice(0, 297)}...` : sentence;
   }
 
   /**
@@ -104,9 +305,10 @@
     let left = selectionRect.left + scrollX;
     let placement = 'below';
 
-    // Check if popup would overflow bottom of viewport
-    const spaceBelow = viewport.height - (selectionRect.bottom - scrollY);
-    const spaceAbove = selectionRect.top - scrollY;
+    // Check if popup would overflow bottom of viewport (selectionRect is
+    // in viewport coordinates already)
+    const spaceBelow = viewport.height - selectionRect.bottom;
+    const spaceAbove = selectionRect.top;
 
     if (spaceBelow < popupHeight + margin && spaceAbove > spaceBelow) {
       // Show above the selection
@@ -128,33 +330,123 @@
   }
 
   /**
-   * Fetches definition using 3-layer cache system (Hot Cache → IndexedDB → API)
+   * Fetches a definition from the background service worker, which looks it
+   * up through the shared 3-layer cache (Hot Cache → IndexedDB → Providers)
    * @param {string} word - The word to look up
+   * @param {string} language - ISO 639 language code
+   * @param {AbortSignal} signal - Cancels the lookup
    * @returns {Promise<Object>} - The definition result
    */
-  async function fetchDefinition(word) {
-    if (!dictionaryManager) {
-      // Fallback to direct API call if DictionaryManager not available
-      return { error: 'not_initialized', message: 'Dictionary manager not initialized' };
+  function fetchDefinition(word, language, signal) {
+    return requestLookup(word, { language, lemmatize: true, signal });
+  }
+
+  /**
+   * Gets spelling suggestions for a word that was not found from the
+   * service worker, which keeps the bundled word list
+   * @param {string} word - The word that was not found
+   * @param {string} language - ISO 639 language code
+   * @returns {Promise<string[]>} - Up to SUGGESTIONS.MAX_RESULTS suggestions
+   */
+  function getSuggestions(word, language) {
+    const settings = CONFIG.SUGGESTIONS;
+    if (!settings.ENABLED || !settings.LANGUAGES.includes(language) || /\s/.test(word.trim())) {
+      return Promise.resolve([]);
     }
+    return requestSuggestions(word, settings.MAX_RESULTS);
+  }
 
-    try {
-      const result = await dictionaryManager.getDefinition(word);
-      return result;
-    } catch (error) {
-      console.error('QuickDefine: Dictionary lookup failed', error);
-      return { error: 'network', message: formatErrorMessage(error) };
+  /**
+   * Looks up the content words of a phrase that has no entry of its own
+   * @param {string} phrase - The phrase that was not found
+   * @param {string} language - ISO 639 language code
+   * @param {AbortSignal} signal - Cancels the lookups
+   * @returns {Promise<Array<{word: string, result: Object}>|null>} - Each
+   *   word with its result, or null if none of them was found
+   */
+  async function fetchPhraseBreakdown(phrase, language, signal) {
+    if (!CONFIG.PHRASES.ENABLED || !/\s/.test(phrase.trim())) {
+      return null;
     }
+
+    const words = getContentWords(phrase).slice(0, CONFIG.PHRASES.MAX_SPLIT_WORDS);
+    const results = await Promise.all(words.map(word => fetchDefinition(word, language, signal)));
+    const breakdown = words.map((word, index) => ({ word, result: results[index] }));
+    return breakdown.some(item => item.result.data) ? breakdown : null;
+  }
+
+  /**
+   * Gets the background color painted behind a viewport point, skipping
+   * transparent elements and the popup itself
+   * @param {number} x - Client X coordinate
+   * @param {number} y - Client Y coordinate
+   * @returns {number[]|null} - [r, g, b] (0-255), or null if unknown
+   */
+  function getPageBackground(x, y) {
+    const elements = document.elementsFromPoint(x, y).filter(element => element !== currentPopup);
+    // Fall back to the root elements when nothing is under the point
+    elements.push(document.body, document.documentElement);
+
+    for (const element of elements) {
+      if (!element) {
+        continue;
+      }
+      const match = getComputedStyle(element).backgroundColor.match(/[\d.]+/g);
+      if (match && (match.length < 4 || Number(match[3]) > 0.5)) {
+        return match.slice(0, 3).map(Number);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Resolves the popup theme, matching the page background if configured
+   * @param {Object} selectionRect - Selection bounds in viewport coordinates
+   * @returns {string} - Theme name used as the container's data-theme
+   */
+  function getPopupTheme(selectionRect) {
+    const theme = CONFIG.UI.POPUP.THEME;
+    if (theme !== 'page') {
+      return theme;
+    }
+
+    const color = getPageBackground(
+      selectionRect.left + selectionRect.width / 2,
+      selectionRect.top + selectionRect.height / 2
+    );
+    if (!color) {
+      // Pages without a background color render white
+      return 'light';
+    }
+
+    // WCAG relative luminance; below ~0.18 light text contrasts better
+    const [r, g, b] = color.map((channel) => {
+      const value = channel / 255;
+      return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+    });
+    const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    return luminance < 0.179 ? 'dark' : 'light';
   }
 
   /**
    * Creates and injects the popup into the DOM using Shadow DOM
    * @param {Object} position - Position coordinates {top, left}
+   * @param {string} theme - Theme name (see getPopupTheme)
+   * @param {Object} options - Options
+   * @param {boolean} options.focus - Move focus into the popup; only for
+   *   lookups the user asked for (selection, shortcut, context menu), never
+   *   hover, which would take keystrokes away from the page
    * @returns {HTMLElement} - The shadow root host element
    */
-  function createPopupContainer(position) {
+  function createPopupContainer(position, theme, { focus = false } = {}) {
+    // Remember where focus was, unless it is in the popup being replaced
+    if (!currentPopup || !currentPopup.shadowRoot.activeElement) {
+      previousFocus = getDeepActiveElement();
+    }
+
     // Remove existing popup if any
     if (currentPopup) {
+      cancelLookup(currentPopup);
       currentPopup.remove();
     }
 
@@ -167,6 +459,11 @@
       left: ${position.left}px;
       z-index: ${CONFIG.UI.POPUP.Z_INDEX};
       pointer-events: none;
+      --quickdefine-min-width: ${CONFIG.UI.POPUP.MIN_WIDTH}px;
+      --quickdefine-max-width: ${CONFIG.UI.POPUP.MAX_WIDTH}px;
+      --quickdefine-max-height: ${CONFIG.UI.POPUP.MAX_HEIGHT}px;
+      --quickdefine-font-size: ${CONFIG.UI.POPUP.FONT_SIZE}px;
+      --quickdefine-font-family: ${FONT_FAMILIES[CONFIG.UI.POPUP.FONT_FAMILY] || FONT_FAMILIES.system};
     `;
 
     // Create shadow root
@@ -177,16 +474,139 @@
     styleElement.textContent = QUICKDEFINE_STYLES;
     shadowRoot.appendChild(styleElement);
 
-    // Create container
+    // Create container as a non-modal dialog
     const container = document.createElement('div');
     container.className = 'quickdefine-container';
+    container.dataset.theme = theme;
+    container.setAttribute('role', 'dialog');
+    container.setAttribute('aria-label', 'Definition');
+    container.setAttribute('aria-describedby', 'quickdefine-instructions');
+    container.tabIndex = -1;
+    container.addEventListener('keydown', (e) => handlePopupKeyDown(e, shadowRoot));
     shadowRoot.appendChild(container);
 
+    // Loading, error and definition states render into the content element
+    const content = document.createElement('div');
+    content.className = 'quickdefine-content';
+    container.appendChild(content);
+
+    // Keyboard help and announcements live outside the re-rendered container
+    const instructions = document.createElement('div');
+    instructions.id = 'quickdefine-instructions';
+    instructions.className = 'quickdefine-sr-only';
+    instructions.textContent = 'Use the up and down arrow keys to move between meanings, Alt with the left and right arrow keys to go back and forward, Enter to hear the pronunciation and Escape to close.';
+    shadowRoot.appendChild(instructions);
+
+    const liveRegion = document.createElement('div');
+    liveRegion.className = 'quickdefine-sr-only';
+    liveRegion.setAttribute('role', 'status');
+    liveRegion.setAttribute('aria-live', 'polite');
+    shadowRoot.appendChild(liveRegion);
+
     // Append to document body
     document.body.appendChild(host);
     currentPopup = host;
 
-    return { host, shadowRoot, container };
+    // Move focus into the dialog without scrolling the page
+    if (focus) {
+      container.focus({ preventScroll: true });
+    }
+
+    return { host, shadowRoot, container, content, liveRegion };
+  }
+
+  /**
+   * Gets the focused element, looking inside open shadow roots
+   * @returns {Element|null} - The focused element
+   */
+  function getDeepActiveElement() {
+    let element = document.activeElement;
+    while (element && element.shadowRoot && element.shadowRoot.activeElement) {
+      element = element.shadowRoot.activeElement;
+    }
+    return element;
+  }
+
+  /**
+   * Checks whether this frame itself has keyboard focus. document.hasFocus()
+   * is also true in every ancestor of the focused frame, where the active
+   * element is the frame element instead.
+   * @returns {boolean} - True if focus is in this frame and not in a child frame
+   */
+  function hasOwnFocus() {
+    if (!document.hasFocus()) {
+      return false;
+    }
+    const active = getDeepActiveElement();
+    return !(active && active.matches('iframe, frame'));
+  }
+
+  /**
+   * Announces text to screen readers through the popup's live region
+   * @param {Object} popup - Popup elements ({liveRegion})
+   * @param {string} text - Text to announce
+   */
+  function announce(popup, text) {
+    popup.liveRegion.textContent = text;
+  }
+
+  /**
+   * Keeps focus in the popup after its content is re-rendered
+   * @param {Object} popup - Popup elements ({host, shadowRoot, container})
+   */
+  function keepFocusInPopup(popup) {
+    // Focus falls back to the body when the focused element is removed
+    if (popup.host.isConnected && !popup.shadowRoot.activeElement &&
+        (document.activeElement === document.body || document.activeElement === popup.host)) {
+      popup.container.focus({ preventScroll: true });
+    }
+  }
+
+  /**
+   * Handles keyboard navigation inside the popup: arrow keys move between
+   * meanings and Enter plays the pronunciation
+   * @param {KeyboardEvent} event - The keyboard event
+   * @param {ShadowRoot} shadowRoot - The popup's shadow root
+   */
+  function handlePopupKeyDown(event, shadowRoot) {
+    const meanings = [...shadowRoot.querySelectorAll('.quickdefine-meaning:not([hidden])')];
+    const current = meanings.indexOf(shadowRoot.activeElement);
+    let next = -1;
+
+    if (event.key === 'ArrowDown') {
+      next = Math.min(current + 1, meanings.length - 1);
+    } else if (event.key === 'ArrowUp') {
+      next = Math.max(current - 1, 0);
+    } else if (event.key === 'Home') {
+      next = 0;
+    } else if (event.key === 'End') {
+      next = meanings.length - 1;
+    } else if (event.altKey && (event.key === 'ArrowLeft' || event.key === 'ArrowRight')) {
+      // Alt+←/→ move through the popup's lookup history
+      const button = shadowRoot.querySelector(event.key === 'ArrowLeft' ? '.quickdefine-back-btn' : '.quickdefine-forward-btn');
+      event.preventDefault();
+      event.stopPropagation();
+      if (button && !button.disabled) {
+        button.click();
+      }
+      return;
+    } else if (event.key === CONFIG.KEYBOARD.ENTER && !(event.target instanceof HTMLButtonElement)) {
+      const audioButton = shadowRoot.querySelector('.quickdefine-audio-btn');
+      if (audioButton) {
+        event.preventDefault();
+        audioButton.click();
+      }
+      return;
+    } else {
+      return;
+    }
+
+    // Don't scroll the page; the card scrolls the focused meaning into view
+    event.preventDefault();
+    event.stopPropagation();
+    if (meanings[next]) {
+      meanings[next].focus();
+    }
   }
 
   /**
@@ -196,8 +616,8 @@
   function renderLoading(container) {
     container.innerHTML = `
       <div class="quickdefine-card">
-        <div class="quickdefine-loading">
-          <div class="quickdefine-spinner"></div>
+        <div class="quickdefine-loading" aria-busy="true">
+          <div class="quickdefine-spinner" aria-hidden="true"></div>
           <span>Searching...</span>
         </div>
       </div>
@@ -207,7 +627,7 @@
   /**
    * Renders the error state
    * @param {HTMLElement} container - The container element
-   * @param {string} errorType - Type of error ('not_found' | 'network' | 'cancelled')
+   * @param {string} errorType - Type of error ('not_found' | 'unsupported_language' | 'network' | 'cancelled')
    * @param {string} errorMessage - Optional error message
    */
   function renderError(container, errorType, errorMessage = '') {
@@ -215,6 +635,8 @@
     
     if (errorType === 'not_found') {
       message = 'Definition not found';
+    } else if (errorType === 'unsupported_language') {
+      message = 'No dictionary available for this language';
     } else if (errorType === 'cancelled') {
       message = 'Request cancelled';
     } else if (errorMessage) {
@@ -224,7 +646,7 @@
     const safeMessage = escapeHTML(message);
     container.innerHTML = `
       <div class="quickdefine-card">
-        <div class="quickdefine-error">
+        <div class="quickdefine-error" role="alert">
           <div class="quickdefine-error-icon">📖</div>
           <div class="quickdefine-error-message">${safeMessage}</div>
         </div>
@@ -233,210 +655,1229 @@
   }
 
   /**
-   * Renders the success state with definition data
-   * @param {HTMLElement} container - The container element
-   * @param {Array} data - API response data array
-   * @param {HTMLElement} shadowRoot - Shadow root for audio button functionality
+   * Appends "Did you mean" suggestions to the error card of a popup
+   * Each suggestion re-runs the lookup inside the same popup.
+   * @param {Object} popup - Popup elements ({host, shadowRoot, container})
+   * @param {string} word - The word that was not found
+   * @param {Object} context - Lookup context ({language, sentence, selectionRect})
    */
-  function renderSuccess(container, data, shadowRoot) {
-    if (!data || data.length === 0) {
-      renderError(container, 'not_found');
+  async function showSuggestions(popup, word, context) {
+    const suggestions = await getSuggestions(word, context.language);
+    const errorCard = popup.container.querySelector('.quickdefine-error');
+
+    // The popup may have closed or moved on while the word list loaded
+    if (suggestions.length === 0 || !popup.host.isConnected || !errorCard) {
       return;
     }
 
-    const entry = data[0];
-    const word = escapeHTML(entry.word || '');
-    const phonetic = escapeHTML(entry.phonetic || entry.phonetics?.find(p => p.text)?.text || '');
-    const audioUrl = entry.phonetics?.find(p => p.audio)?.audio || '';
-
-    let definitionsHtml = '';
-
-    // Process meanings
-    if (entry.meanings && entry.meanings.length > 0) {
-      definitionsHtml = entry.meanings.map(meaning => {
-        const partOfSpeech = meaning.partOfSpeech || '';
-        const definitions = meaning.definitions || [];
-
-        let defListHtml = definitions.map(def => {
-          const definitionText = escapeHTML(def.definition || '');
-          const example = def.example ? `<div class="quickdefine-example">"${escapeHTML(def.example)}"</div>` : '';
-          
-          return `
-            <li class="quickdefine-definition-item">
-              <div class="quickdefine-definition-text">${definitionText}</div>
-              ${example}
-            </li>
-          `;
-        }).join('');
-
-        const safePartOfSpeech = escapeHTML(partOfSpeech);
-        return `
-          <div class="quickdefine-meaning">
-            ${partOfSpeech ? `<div class="quickdefine-part-of-speech">${safePartOfSpeech}</div>` : ''}
-            <ul class="quickdefine-definition-list">
-              ${defListHtml}
-            </ul>
-          </div>
-        `;
-      }).join('');
+    const list = document.createElement('div');
+    list.className = 'quickdefine-suggestions';
+    list.innerHTML = `<div class="quickdefine-suggestions-label">Did you mean</div>`;
+
+    for (const suggestion of suggestions) {
+      const button = document.createElement('button');
+      button.className = 'quickdefine-suggestion';
+      button.textContent = suggestion;
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        // The corrected word stands in for the misspelling in the sentence
+        navigateTo(popup, suggestion, context.sentence);
+      });
+      list.appendChild(button);
     }
 
-    const audioButtonHtml = audioUrl 
-      ? `<button class="quickdefine-audio-btn" aria-label="Play pronunciation" title="Play pronunciation">🔊</button>`
-      : '';
-    
-    const copyButtonHtml = `<button class="quickdefine-copy-btn" aria-label="Copy definition" title="Copy definition">📋</button>`;
+    errorCard.appendChild(list);
+    repositionPopup(popup, context.selectionRect);
+  }
+
+  /**
+   * Renders a phrase that has no entry as its words, each with its first
+   * definition; clicking a word shows its full entry
+   * @param {HTMLElement} container - The container element
+   * @param {string} phrase - The phrase that was not found
+   * @param {Array<{word: string, result: Object}>} breakdown - From fetchPhraseBreakdown
+   * @param {Function} onLookup - Called with a word to look it up in the popup
+   */
+  function renderPhraseBreakdown(container, phrase, breakdown, onLookup) {
+    const wordsHtml = breakdown.map(({ word, result }) => {
+      const safeWord = escapeHTML(word);
+      const meaning = result.data ? result.data[0].meanings?.[0] : null;
+      const definition = meaning?.definitions?.[0]?.definition || '';
+      return `
+        <li class="quickdefine-phrase-word">
+          <button class="quickdefine-chip" data-word="${safeWord}" title="Look up ${safeWord}">${safeWord}</button>
+          ${meaning && meaning.partOfSpeech ? `<span class="quickdefine-part-of-speech">${escapeHTML(meaning.partOfSpeech)}</span>` : ''}
+          <div class="quickdefine-definition-text">${definition ? escapeHTML(definition) : 'Definition not found'}</div>
+        </li>
+      `;
+    }).join('');
 
     container.innerHTML = `
       <div class="quickdefine-card">
         <div class="quickdefine-header">
-          <div class="quickdefine-word">
-            <span>${word}</span>
-            <div class="quickdefine-actions">
-              ${audioButtonHtml}
-              ${copyButtonHtml}
-            </div>
-          </div>
-          ${phonetic ? `<div class="quickdefine-phonetic">${phonetic}</div>` : ''}
-        </div>
-        <div class="quickdefine-definitions">
-          ${definitionsHtml}
+          <div class="quickdefine-word"><span>${escapeHTML(phrase)}</span></div>
         </div>
+        <div class="quickdefine-phrase-note">No entry for the whole phrase. Its words:</div>
+        <ul class="quickdefine-phrase-words">
+          ${wordsHtml}
+        </ul>
       </div>
     `;
 
-    // Attach audio button event listener if audio exists
-    if (audioUrl) {
-      const audioButton = shadowRoot.querySelector('.quickdefine-audio-btn');
-      if (audioButton) {
-        audioButton.addEventListener('click', (e) => {
-          e.stopPropagation();
-          const audio = new Audio(audioUrl);
-          audio.play().catch(err => {
-            console.error('QuickDefine: Audio playback failed', err);
-          });
-        });
-      }
-    }
-
-    // Attach copy button event listener
-    const copyButton = shadowRoot.querySelector('.quickdefine-copy-btn');
-    if (copyButton) {
-      copyButton.addEventListener('click', async (e) => {
+    container.querySelectorAll('.quickdefine-chip').forEach(chip => {
+      chip.addEventListener('click', (e) => {
         e.stopPropagation();
-        const wordText = entry.word || '';
-        const definitionText = entry.meanings?.map(m => 
-          m.definitions?.map(d => d.definition).join('\n')
-        ).join('\n\n') || '';
-        const textToCopy = `${wordText}${phonetic ? ` (${phonetic})` : ''}\n\n${definitionText}`;
-        
-        const success = await copyToClipboard(textToCopy);
-        if (success) {
-          // Visual feedback
-          const originalText = copyButton.textContent;
-          copyButton.textContent = '✓';
-          copyButton.style.color = '#34c759';
-          setTimeout(() => {
-            copyButton.textContent = originalText;
-            copyButton.style.color = '';
-          }, 1000);
-        }
+        onLookup(chip.dataset.word);
       });
+    });
+  }
+
+  /**
+   * Collects the synonyms of the entries, most relevant first
+   * @param {Array<Object>} entries - Dictionary entries
+   * @param {number} limit - Maximum number of synonyms
+   * @returns {string[]} - Unique synonyms
+   */
+  function getSynonyms(entries, limit) {
+    const synonyms = [];
+    for (const entry of entries) {
+      const headword = (entry.word || '').toLowerCase();
+      for (const meaning of entry.meanings || []) {
+        const candidates = [
+          ...(meaning.definitions || []).flatMap(def => def.synonyms || []),
+          ...(meaning.synonyms || []),
+        ];
+        for (const synonym of candidates) {
+          if (synonym && synonym.toLowerCase() !== headword && !synonyms.includes(synonym)) {
+            synonyms.push(synonym);
+          }
+        }
+      }
     }
+    return synonyms.slice(0, limit);
   }
 
   /**
-   * Shows the definition popup for selected text
-   * @param {string} selectedText - The selected text
-   * @param {Selection} selection - The selection object
+   * Renders a row of synonym or antonym chips; each looks up its word
+   * @param {string} label - Row label ('Synonyms' or 'Antonyms')
+   * @param {string[]} words - Related words
+   * @param {string} headword - Lowercased headword, left out of the row
+   * @returns {string} - HTML, or '' when there are no words
    */
-  async function showDefinition(selectedText, selection) {
-    const selectionRect = getSelectionBounds(selection);
-    if (!selectionRect) {
-      return;
+  function renderRelatedWords(label, words, headword) {
+    const unique = [...new Set((words || []).filter(word => word && word.toLowerCase() !== headword))];
+    if (unique.length === 0) {
+      return '';
     }
+    const chips = unique.map(word => {
+      const safeWord = escapeHTML(word);
+      return `<button class="quickdefine-chip" data-word="${safeWord}" title="Look up ${safeWord}">${safeWord}</button>`;
+    }).join('');
+    return `
+      <div class="quickdefine-related">
+        <span class="quickdefine-related-label">${label}</span>
+        ${chips}
+      </div>
+    `;
+  }
 
-    // Create popup container with estimated dimensions
-    const estimatedWidth = CONFIG.UI.POPUP.MIN_WIDTH + 40; // Slightly larger than min
-    const estimatedHeight = 200;
-    const position = calculatePosition(selectionRect, estimatedWidth, estimatedHeight);
+  /**
+   * Renders one meaning (part of speech) with its definitions. Only the first
+   * DEFINITIONS_PER_MEANING definitions show unless the user expands them.
+   * @param {Object} meaning - Meaning of a dictionary entry
+   * @param {string} headword - Lowercased headword
+   * @returns {string} - HTML
+   */
+  function renderMeaning(meaning, headword) {
+    const partOfSpeech = meaning.partOfSpeech || '';
+    const definitions = meaning.definitions || [];
+    const limit = CONFIG.UI.POPUP.DEFINITIONS_PER_MEANING;
+    const expanded = definitionsExpanded ?? CONFIG.UI.POPUP.EXPAND_DEFINITIONS;
+    const extraCount = Math.max(0, definitions.length - limit);
 
-    const { host, shadowRoot, container } = createPopupContainer(position);
+    const defListHtml = definitions.map((def, index) => {
+      const definitionText = escapeHTML(def.definition || '');
+      const example = def.example ? `<div class="quickdefine-example">"${escapeHTML(def.example)}"</div>` : '';
+      const extra = index >= limit ? `data-extra${expanded ? '' : ' hidden'}` : '';
+      const likely = def.likely
+        ? '<span class="quickdefine-likely-label">Likely meaning here</span>'
+        : '';
 
-    // Show loading state
-    renderLoading(container);
+      return `
+        <li class="quickdefine-definition-item${def.likely ? ' quickdefine-definition-likely' : ''}" ${extra}>
+          ${likely}
+          <div class="quickdefine-definition-text">${definitionText}</div>
+          ${example}
+          ${renderRelatedWords('Synonyms', def.synonyms, headword)}
+          ${renderRelatedWords('Antonyms', def.antonyms, headword)}
+        </li>
+      `;
+    }).join('');
 
-    // Fetch definition
-    const result = await fetchDefinition(selectedText);
+    const moreHtml = extraCount > 0
+      ? `<button class="quickdefine-more-btn" aria-expanded="${expanded}" data-count="${extraCount}">${expanded ? 'Show less' : `Show ${extraCount} more`}</button>`
+      : '';
 
-    // Update popup with result
-    if (result.error) {
-      renderError(container, result.error, result.message);
-    } else {
-      renderSuccess(container, result.data, shadowRoot);
-      
-      // Recalculate position with actual dimensions after render
-      requestAnimationFrame(() => {
-        const card = shadowRoot.querySelector('.quickdefine-card');
-        if (card) {
-          const actualRect = card.getBoundingClientRect();
-          const actualPosition = calculatePosition(selectionRect, actualRect.width, actualRect.height);
-          host.style.top = `${actualPosition.top}px`;
-          host.style.left = `${actualPosition.left}px`;
-        }
-      });
-    }
+    const safePartOfSpeech = escapeHTML(partOfSpeech);
+    return `
+      <div class="quickdefine-meaning" tabindex="-1" role="group" aria-label="${safePartOfSpeech || 'Meaning'}" data-pos="${safePartOfSpeech}">
+        ${partOfSpeech ? `<div class="quickdefine-part-of-speech">${safePartOfSpeech}</div>` : ''}
+        <ul class="quickdefine-definition-list">
+          ${defListHtml}
+        </ul>
+        ${moreHtml}
+        ${renderRelatedWords('Synonyms', meaning.synonyms, headword)}
+        ${renderRelatedWords('Antonyms', meaning.antonyms, headword)}
+      </div>
+    `;
   }
 
   /**
-   * Removes the current popup from the DOM
+   * Renders the meanings of each entry. Homographs (several entries) get a
+   * numbered heading with their own pronunciation.
+   * @param {Array<Object>} entries - Dictionary entries
+   * @returns {string} - HTML
    */
-  function removePopup() {
-    if (currentPopup) {
-      currentPopup.remove();
-      currentPopup = null;
-    }
+  function renderEntries(entries) {
+    return entries.map((entry, index) => {
+      const headword = (entry.word || '').toLowerCase();
+      const meaningsHtml = (entry.meanings || []).map(meaning => renderMeaning(meaning, headword)).join('');
+      if (entries.length === 1) {
+        return meaningsHtml;
+      }
+
+      const phonetic = entry.phonetic || entry.phonetics?.find(p => p.text)?.text || '';
+      return `
+        <div class="quickdefine-entry">
+          <div class="quickdefine-entry-heading">
+            <span class="quickdefine-entry-word">${escapeHTML(entry.word || '')}<sup>${index + 1}</sup></span>
+            ${phonetic ? `<span class="quickdefine-phonetic">${escapeHTML(phonetic)}</span>` : ''}
+          </div>
+          ${meaningsHtml}
+        </div>
+      `;
+    }).join('');
   }
 
   /**
-   * Handles mouseup event to detect text selection
-   * @param {MouseEvent} event - The mouseup event
+   * Renders part-of-speech filter chips when the entries have more than one
+   * @param {Array<Object>} entries - Dictionary entries
+   * @returns {string} - HTML, or '' for a single part of speech
    */
-  function handleMouseUp(event) {
-    // Clear any existing debounce timer
-    if (debounceTimer) {
-      clearTimeout(debounceTimer);
+  function renderPartOfSpeechFilter(entries) {
+    const partsOfSpeech = [...new Set(entries
+      .flatMap(entry => entry.meanings || [])
+      .map(meaning => meaning.partOfSpeech)
+      .filter(Boolean))];
+    if (partsOfSpeech.length < 2) {
+      return '';
     }
 
-    // Debounce the selection check
-    debounceTimer = setTimeout(() => {
-      const selection = window.getSelection();
-      const selectedText = selection.toString().trim();
+    const chips = ['', ...partsOfSpeech].map(partOfSpeech => `
+      <button class="quickdefine-pos-chip" data-pos="${escapeHTML(partOfSpeech)}" aria-pressed="${partOfSpeech === ''}">${escapeHTML(partOfSpeech || 'all')}</button>
+    `).join('');
+    return `<div class="quickdefine-pos-filter" role="group" aria-label="Filter by part of speech">${chips}</div>`;
+  }
 
-      // Check if selection is valid
-      if (!isValidSelection(selectedText, selection)) {
-        // If clicking outside, remove popup
-        if (currentPopup && !currentPopup.contains(event.target)) {
-          removePopup();
-        }
-        return;
-      }
+  /**
+   * Shows only the meanings with a part of speech
+   * @param {HTMLElement} container - Container of the rendered entries
+   * @param {string} partOfSpeech - Part of speech, or '' for all
+   */
+  function filterMeanings(container, partOfSpeech) {
+    for (const chip of container.querySelectorAll('.quickdefine-pos-chip')) {
+      chip.setAttribute('aria-pressed', String(chip.dataset.pos === partOfSpeech));
+    }
+    for (const meaning of container.querySelectorAll('.quickdefine-meaning')) {
+      meaning.hidden = partOfSpeech !== '' && meaning.dataset.pos !== partOfSpeech;
+    }
+    // Homographs without a matching meaning are hidden with their heading
+    for (const entry of container.querySelectorAll('.quickdefine-entry')) {
+      entry.hidden = !entry.querySelector('.quickdefine-meaning:not([hidden])');
+    }
+  }
 
-      // Show definition
-      showDefinition(selectedText, selection);
-    }, CONFIG.SELECTION.DEBOUNCE_DELAY);
+  /**
+   * Expands or collapses the extra definitions of a meaning
+   * @param {HTMLButtonElement} button - The meaning's "show more" button
+   * @param {boolean} expanded - Whether to show all definitions
+   */
+  function setMeaningExpanded(button, expanded) {
+    const meaning = button.closest('.quickdefine-meaning');
+    for (const item of meaning.querySelectorAll('[data-extra]')) {
+      item.hidden = !expanded;
+    }
+    button.setAttribute('aria-expanded', String(expanded));
+    button.textContent = expanded ? 'Show less' : `Show ${button.dataset.count} more`;
   }
 
   /**
-   * Handles click events for click-outside-to-close functionality
-   * @param {MouseEvent} event - The click event
+   * Remembers whether the user prefers all definitions expanded, for later
+   * lookups in every tab
+   * @param {boolean} expanded - Whether definitions start expanded
    */
-  function handleClick(event) {
-    if (!currentPopup) {
+  async function rememberExpanded(expanded) {
+    if ((definitionsExpanded ?? CONFIG.UI.POPUP.EXPAND_DEFINITIONS) === expanded) {
       return;
     }
-
-    // Check if click is outside the popup
+    definitionsExpanded = expanded;
+    try {
+      const errors = await updateSettings({ expandDefinitions: expanded });
+      if (Object.keys(errors).length > 0) {
+        console.warn('QuickDefine: Failed to remember expanded definitions', errors);
+      }
+    } catch (error) {
+      console.warn('QuickDefine: Failed to remember expanded definitions', error);
+    }
+  }
+
+  /**
+   * Collects the web pages the entries were taken from
+   * @param {Array<Object>} entries - Dictionary entries
+   * @returns {string[]} - Unique http(s) URLs; anything else (javascript:,
+   *   data:, unparseable text) is dropped since it ends up in a link
+   */
+  function getSourceUrls(entries) {
+    const urls = entries.flatMap(entry => entry.sourceUrls || []).filter((url) => {
+      try {
+        const { protocol } = new URL(url);
+        return protocol === 'http:' || protocol === 'https:';
+      } catch (error) {
+        return false;
+      }
+    });
+    return [...new Set(urls)];
+  }
+
+  /**
+   * Renders the success state with definition data
+   * @param {HTMLElement} container - The container element
+   * @param {Object} result - Lookup result ({data, sourceName, language, lemma})
+   * @param {HTMLElement} shadowRoot - Shadow root for audio button functionality
+   * @param {Object} lookup - Lookup context for saving ({word, language, url, title, sentence})
+   * @param {Object} options - Render options
+   * @param {Function|null} options.onReplace - Replaces the looked-up text in
+   *   an editable field with a synonym; shows the "Replace with" row when set
+   * @param {Function|null} options.onPin - Detaches the popup into a floating
+   *   panel; shows the pin button when set
+   * @param {Function|null} options.onLookup - Looks up a synonym or antonym
+   *   chip's word in the same popup
+   * @param {Function|null} options.onResize - Called when the card changes
+   *   size (expanding definitions, filtering)
+   */
+  function renderSuccess(container, result, shadowRoot, lookup, { onReplace = null, onPin = null, onLookup = null, onResize = null } = {}) {
+    const { data, sourceName = '', language = '', lemma = null, offline = false } = result;
+    if (!data || data.length === 0) {
+      renderError(container, 'not_found');
+      return;
+    }
+
+    const entry = data[0];
+    const word = escapeHTML(entry.word || '');
+    const phonetic = escapeHTML(entry.phonetic || entry.phonetics?.find(p => p.text)?.text || '');
+    const phonetics = data.flatMap(item => item.phonetics || []);
+    const recording = choosePronunciation(phonetics, CONFIG.PRONUNCIATION.ACCENT);
+    // Without a recording the browser can speak the word
+    const canPronounce = Boolean(recording) || (CONFIG.PRONUNCIATION.SPEECH_FALLBACK && canSpeak());
+
+    // Homographs show their own pronunciation under their heading
+    const definitionsHtml = renderEntries(data);
+
+    const audioLabel = recording
+      ? `Play pronunciation${recording.accent ? ` (${recording.accent.toUpperCase()})` : ''}`
+      : 'Speak pronunciation (synthesized voice)';
+    const audioButtonHtml = canPronounce
+      ? `<button class="quickdefine-audio-btn" aria-label="${audioLabel}" title="${audioLabel}">🔊</button>`
+      : '';
+    
+    const copyButtonHtml = `<button class="quickdefine-copy-btn" aria-label="Copy definition" title="Copy definition">📋</button>`;
+
+    const saveButtonHtml = `<button class="quickdefine-save-btn" aria-label="Save word" aria-pressed="false" title="Save to vocabulary">☆</button>`;
+
+    const pinButtonHtml = onPin
+      ? `<button class="quickdefine-pin-btn" aria-label="Pin as a floating panel" title="Pin">📌</button>`
+      : '';
+
+    // Editable fields offer the synonyms as replacements
+    const synonyms = onReplace ? getSynonyms(data, CONFIG.EDITABLE.MAX_SYNONYMS) : [];
+    const replaceHtml = synonyms.length > 0
+      ? `<div class="quickdefine-replace">
+          <span class="quickdefine-replace-label">Replace with</span>
+          ${synonyms.map(synonym => `<button class="quickdefine-replace-btn" data-synonym="${escapeHTML(synonym)}">${escapeHTML(synonym)}</button>`).join('')}
+        </div>`
+      : '';
+
+    const languageBadgeHtml = language
+      ? `<span class="quickdefine-lang-badge" title="Language: ${escapeHTML(language)}">${escapeHTML(language.toUpperCase())}</span>`
+      : '';
+
+    const offlineBadgeHtml = offline
+      ? `<span class="quickdefine-offline-badge" title="No network connection: showing the built-in dictionary">Offline</span>`
+      : '';
+
+    const sourceLinksHtml = getSourceUrls(data).map(url => {
+      const label = new URL(url).hostname.replace(/^www\./, '');
+      return ` · <a class="quickdefine-source-link" href="${escapeHTML(url)}" target="_blank" rel="noopener noreferrer">${escapeHTML(label)}</a>`;
+    }).join('');
+    const sourceHtml = sourceName || sourceLinksHtml
+      ? `<div class="quickdefine-source">Source: ${escapeHTML(sourceName)}${sourceLinksHtml}</div>`
+      : '';
+
+    container.innerHTML = `
+      <div class="quickdefine-card">
+        <div class="quickdefine-header">
+          <div class="quickdefine-word">
+            ${lemma
+              ? `<span class="quickdefine-lemma-from">${escapeHTML(lemma.from)}</span><span class="quickdefine-lemma-arrow" aria-label="base form">→</span>`
+              : ''}
+            <span>${word}</span>
+            ${languageBadgeHtml}
+            ${offlineBadgeHtml}
+            <div class="quickdefine-actions">
+              ${saveButtonHtml}
+              ${audioButtonHtml}
+              ${copyButtonHtml}
+              ${pinButtonHtml}
+            </div>
+          </div>
+          ${phonetic && data.length === 1 ? `<div class="quickdefine-phonetic">${phonetic}</div>` : ''}
+        </div>
+        ${replaceHtml}
+        ${renderPartOfSpeechFilter(data)}
+        <div class="quickdefine-definitions">
+          ${definitionsHtml}
+        </div>
+        ${sourceHtml}
+      </div>
+    `;
+
+    // Attach audio button event listener if the word can be pronounced
+    const audioButton = shadowRoot.querySelector('.quickdefine-audio-btn');
+    if (audioButton) {
+      audioButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        pronounce(entry.word || lookup.word, phonetics, {
+          language: language || lookup.language,
+          settings: CONFIG.PRONUNCIATION,
+        }).catch(err => {
+          console.error('QuickDefine: Pronunciation failed', err);
+        });
+      });
+    }
+
+    // Attach replace button event listeners
+    for (const replaceButton of shadowRoot.querySelectorAll('.quickdefine-replace-btn')) {
+      replaceButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onReplace(replaceButton.dataset.synonym);
+      });
+    }
+
+    // Attach part-of-speech filter event listeners
+    for (const chip of shadowRoot.querySelectorAll('.quickdefine-pos-chip')) {
+      chip.addEventListener('click', (e) => {
+        e.stopPropagation();
+        filterMeanings(container, chip.dataset.pos);
+        if (onResize) {
+          onResize();
+        }
+      });
+    }
+
+    // Attach "show more" event listeners; the choice sticks for later lookups
+    for (const moreButton of shadowRoot.querySelectorAll('.quickdefine-more-btn')) {
+      moreButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const expanded = moreButton.getAttribute('aria-expanded') !== 'true';
+        setMeaningExpanded(moreButton, expanded);
+        rememberExpanded(expanded);
+        if (onResize) {
+          onResize();
+        }
+      });
+    }
+
+    // Attach synonym and antonym chip event listeners
+    for (const chip of shadowRoot.querySelectorAll('.quickdefine-chip')) {
+      chip.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (onLookup) {
+          onLookup(chip.dataset.word);
+        }
+      });
+    }
+
+    // Attach pin button event listener
+    const pinButton = shadowRoot.querySelector('.quickdefine-pin-btn');
+    if (pinButton) {
+      pinButton.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onPin();
+      });
+    }
+
+    // Attach save button event listener
+    const saveButton = shadowRoot.querySelector('.quickdefine-save-btn');
+    if (saveButton) {
+      const setSaved = (saved) => {
+        saveButton.textContent = saved ? '★' : '☆';
+        saveButton.setAttribute('aria-pressed', String(saved));
+        saveButton.title = saved ? 'Remove from vocabulary' : 'Save to vocabulary';
+      };
+
+      isSaved(lookup.word, lookup.language).then(setSaved).catch(() => {});
+
+      saveButton.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        const saved = saveButton.getAttribute('aria-pressed') === 'true';
+        try {
+          if (saved) {
+            await unsaveWords([getWordKey(lookup.word, lookup.language)]);
+          } else {
+            await saveWord(lookup, result);
+          }
+          setSaved(!saved);
+        } catch (error) {
+          console.error('QuickDefine: Failed to update vocabulary', error);
+        }
+      });
+    }
+
+    // Attach copy button event listener
+    const copyButton = shadowRoot.querySelector('.quickdefine-copy-btn');
+    if (copyButton) {
+      copyButton.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        const wordText = entry.word || '';
+        const definitionText = data.flatMap(item => item.meanings || []).map(m => 
+          m.definitions?.map(d => d.definition).join('\n')
+        ).join('\n\n');
+        const textToCopy = `${wordText}${phonetic ? ` (${phonetic})` : ''}\n\n${definitionText}`;
+        
+        const success = await copyToClipboard(textToCopy);
+        if (success) {
+          // Visual feedback
+          const originalText = copyButton.textContent;
+          copyButton.textContent = '✓';
+          copyButton.style.color = '#34c759';
+          setTimeout(() => {
+            copyButton.textContent = originalText;
+            copyButton.style.color = '';
+          }, 1000);
+        }
+      });
+    }
+  }
+
+  /**
+   * Recalculates the popup position using its rendered dimensions
+   * @param {Object} popup - Popup elements ({host, shadowRoot})
+   * @param {DOMRect} selectionRect - Bounding rect of the selected text
+   */
+  function repositionPopup(popup, selectionRect) {
+    if (popup.pinned) {
+      return;
+    }
+    requestAnimationFrame(() => {
+      const card = popup.shadowRoot.querySelector('.quickdefine-card');
+      if (card) {
+        const actualRect = card.getBoundingClientRect();
+        const actualPosition = calculatePosition(selectionRect, actualRect.width, actualRect.height);
+        popup.host.style.top = `${actualPosition.top}px`;
+        popup.host.style.left = `${actualPosition.left}px`;
+      }
+    });
+  }
+
+  /**
+   * Looks up a word from inside a popup (synonym chips, suggestions) and
+   * adds it to the popup's back/forward history
+   * @param {Object} popup - Popup elements ({host, shadowRoot, container, history})
+   * @param {string} word - The word to look up
+   * @param {string} sentence - Sentence the word appears in, if any
+   */
+  function navigateTo(popup, word, sentence = '') {
+    const history = popup.history;
+    history.items.splice(history.index + 1, Infinity, { word, sentence });
+    history.index = history.items.length - 1;
+    loadDefinition(popup, word, history.context, { sentence });
+  }
+
+  /**
+   * Moves back or forward through a popup's lookup history
+   * @param {Object} popup - Popup elements ({history})
+   * @param {number} offset - -1 for back, 1 for forward
+   */
+  function goToHistory(popup, offset) {
+    const history = popup.history;
+    const item = history.items[history.index + offset];
+    if (!item) {
+      return;
+    }
+    history.index += offset;
+    loadDefinition(popup, item.word, history.context, { sentence: item.sentence });
+  }
+
+  /**
+   * Adds back/forward buttons to the popup's card once it has history
+   * @param {Object} popup - Popup elements ({content, history})
+   */
+  function renderNavigation(popup) {
+    const { items, index } = popup.history;
+    const card = popup.content.querySelector('.quickdefine-card');
+    if (!card || items.length < 2) {
+      return;
+    }
+
+    const previous = items[index - 1];
+    const next = items[index + 1];
+    const nav = document.createElement('div');
+    nav.className = 'quickdefine-nav';
+    nav.innerHTML = `
+      <button class="quickdefine-back-btn" ${previous ? `aria-label="Back to ${escapeHTML(previous.word)}" title="Back to ${escapeHTML(previous.word)} (Alt+←)"` : 'aria-label="Back" disabled'}>←</button>
+      <button class="quickdefine-forward-btn" ${next ? `aria-label="Forward to ${escapeHTML(next.word)}" title="Forward to ${escapeHTML(next.word)} (Alt+→)"` : 'aria-label="Forward" disabled'}>→</button>
+      <span class="quickdefine-nav-trail">${items.map((item, i) => (i === index ? `<strong>${escapeHTML(item.word)}</strong>` : escapeHTML(item.word))).join(' › ')}</span>
+    `;
+    nav.querySelector('.quickdefine-back-btn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      goToHistory(popup, -1);
+    });
+    nav.querySelector('.quickdefine-forward-btn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      goToHistory(popup, 1);
+    });
+    card.prepend(nav);
+  }
+
+  /**
+   * Looks up a word and renders the result into an open popup
+   * @param {Object} popup - Popup elements ({host, shadowRoot, container, history})
+   * @param {string} word - The word to look up
+   * @param {Object} context - Lookup context ({language, sentence, selectionRect})
+   * @param {Object} options - Options
+   * @param {string} options.sentence - Sentence saved with the lookup; words
+   *   reached from inside the popup don't come from the page's sentence
+   */
+  async function loadDefinition(popup, word, context, { sentence = context.sentence } = {}) {
+    const { shadowRoot, container, content } = popup;
+    // Hover popups never take focus, so only restore it if the popup had it
+    const hadFocus = Boolean(shadowRoot.activeElement);
+
+    // Show loading state
+    container.setAttribute('aria-label', `Definition of ${word}`);
+    renderLoading(content);
+    renderNavigation(popup);
+    announce(popup, `Looking up ${word}`);
+
+    // Fetch definition in the language of the selected text, cancelling
+    // the popup's previous lookup
+    cancelLookup(popup.host);
+    const controller = new AbortController();
+    activeLookups.set(popup.host, controller);
+    const result = await fetchDefinition(word, context.language, controller.signal);
+
+    // A phrase with no entry, not even as an idiom: define its words instead
+    const breakdown = result.error === 'not_found'
+      ? await fetchPhraseBreakdown(word, context.language, controller.signal)
+      : null;
+
+    // A newer lookup replaced this one, or the popup closed
+    if (activeLookups.get(popup.host) !== controller) {
+      return;
+    }
+    activeLookups.delete(popup.host);
+
+    // Update popup with result
+    if (breakdown) {
+      renderPhraseBreakdown(content, word, breakdown, (contentWord) => navigateTo(popup, contentWord, sentence));
+      announce(popup, `No entry for ${word}. Showing its words: ${breakdown.map(item => item.word).join(', ')}`);
+    } else if (result.error) {
+      renderError(content, result.error, result.message);
+      announce(popup, content.querySelector('.quickdefine-error-message').textContent);
+      if (result.error === 'not_found') {
+        showSuggestions(popup, word, context);
+      }
+    } else {
+      const lookup = {
+        word: result.data[0].word || word,
+        language: result.language || context.language,
+        url: context.url,
+        title: context.title,
+        sentence,
+      };
+      const onReplace = context.editable
+        ? (synonym) => {
+          if (!replaceTarget(context.editable, synonym)) {
+            console.warn('QuickDefine: The text changed, not replacing it');
+          }
+          dismissPopup(popup);
+        }
+        : null;
+      const onPin = () => pinPopup(popup);
+      const onLookup = (relatedWord) => navigateTo(popup, relatedWord);
+      const onResize = () => repositionPopup(popup, context.selectionRect);
+
+      // Put the sense that fits the sentence first
+      const ranked = CONFIG.SENSE_RANKING.ENABLED
+        ? { ...result, data: rankSenses(result.data, { word, sentence, title: context.title }) }
+        : result;
+      renderSuccess(content, ranked, shadowRoot, lookup, { onReplace, onPin, onLookup, onResize });
+      announce(popup, describeEntry(result.data[0]));
+
+      if (CONFIG.HISTORY.ENABLED) {
+        recordLookup(lookup, result, CONFIG.HISTORY.MAX_ENTRIES).catch(error => {
+          console.error('QuickDefine: Failed to record lookup', error);
+        });
+      }
+    }
+
+    renderNavigation(popup);
+    if (hadFocus) {
+      keepFocusInPopup(popup);
+    }
+
+    // Recalculate position with actual dimensions after render
+    repositionPopup(popup, context.selectionRect);
+  }
+
+  /**
+   * Cancels the lookup in flight for a popup
+   * @param {HTMLElement} host - Popup host element
+   */
+  function cancelLookup(host) {
+    const controller = activeLookups.get(host);
+    if (controller) {
+      activeLookups.delete(host);
+      controller.abort();
+    }
+  }
+
+  /**
+   * Summarizes an entry for screen reader announcement
+   * @param {Object} entry - Dictionary entry
+   * @returns {string} - Headword, part of speech and first definition
+   */
+  function describeEntry(entry) {
+    const meaning = entry.meanings?.[0];
+    const definition = meaning?.definitions?.[0]?.definition || '';
+    const partOfSpeech = meaning?.partOfSpeech ? `, ${meaning.partOfSpeech}` : '';
+    return `${entry.word || ''}${partOfSpeech}: ${definition}`;
+  }
+
+  /**
+   * Shows the definition popup for selected text
+   * @param {string} selectedText - The selected text
+   * @param {Range} range - The selected range
+   * @param {Object} options - Options
+   * @param {boolean} options.focus - Move focus into the popup
+   */
+  async function showDefinition(selectedText, range, { focus = false } = {}) {
+    const selectionRect = getSelectionBounds(range);
+    if (!selectionRect) {
+      return;
+    }
+
+    // Capture the context before awaiting, the selection may change meanwhile
+    const context = {
+      language: getSelectionLanguage(range),
+      sentence: getSelectionSentence(range),
+      selectionRect,
+      url: location.href,
+      title: document.title,
+    };
+
+    // Frames hand the lookup to the top frame so the popup isn't clipped by the frame
+    if (!isTopFrame() && await showInTopFrame(selectedText, context, { focus })) {
+      return;
+    }
+
+    // Follow the range as the page scrolls or reflows
+    await openPopup(selectedText, context, () => getSelectionBounds(range), { focus });
+  }
+
+  /**
+   * Looks up the selection, or the word at the caret, in an editable field
+   * @param {Element} element - Text control or rich editing host
+   * @param {Object} options - Options
+   * @param {boolean} options.expandCaret - Use the word at a collapsed caret
+   * @param {Range|null} options.range - Current selection range (rich editors)
+   * @param {boolean} options.focus - Move focus into the popup
+   * @returns {boolean} - True if a lookup was started
+   */
+  function showEditableDefinition(element, { expandCaret = false, range = null, focus = false } = {}) {
+    const target = isTextControl(element)
+      ? getTextControlTarget(element, { expandCaret })
+      : range && getRangeTarget(range, element, { expandCaret });
+
+    // Editable fields are exempt from IGNORE_SELECTORS in this mode
+    if (!target || !isValidSelection(target.text, null)) {
+      return false;
+    }
+
+    const sentence = target.field
+      ? extractSentence(target.field.value, target.start, target.end)
+      : getSelectionSentence(target.range);
+
+    // Replacing needs the field, so frames open this popup themselves
+    openPopup(target.text, {
+      language: getNodeLanguage(element),
+      sentence,
+      selectionRect: target.rect,
+      url: location.href,
+      title: document.title,
+      editable: target,
+    }, () => (target.field
+      ? getTextControlRect(target.field, target.start, target.end)
+      : getSelectionBounds(target.range)), { focus });
+    return true;
+  }
+
+  /**
+   * Opens a popup next to the selection and loads the definition into it
+   * @param {string} word - The word to look up
+   * @param {Object} context - Lookup context ({language, sentence, selectionRect,
+   *   url, title, editable?})
+   * @param {Function|null} getRect - Returns the selection's current bounds in
+   *   viewport coordinates; without it the popup stays where the selection was
+   *   in the document (e.g. lookups shown for a frame)
+   * @param {Object} options - Options
+   * @param {boolean} options.focus - Move focus into the popup (see createPopupContainer)
+   */
+  async function openPopup(word, context, getRect = null, { focus = false } = {}) {
+    // Create popup container with estimated dimensions
+    const estimatedWidth = CONFIG.UI.POPUP.MIN_WIDTH + 40; // Slightly larger than min
+    const estimatedHeight = 200;
+    const position = calculatePosition(context.selectionRect, estimatedWidth, estimatedHeight);
+
+    const popup = createPopupContainer(position, getPopupTheme(context.selectionRect), { focus });
+    popupAnchor = { popup, context, getRect: getRect || getDocumentRect(context.selectionRect) };
+    popup.history = { context, items: [{ word, sentence: context.sentence }], index: 0 };
+    await loadDefinition(popup, word, context);
+  }
+
+  /**
+   * Anchors a viewport rect to the document so it moves with page scrolling
+   * @param {Object} rect - Bounds in viewport coordinates
+   * @returns {Function} - Returns the bounds in current viewport coordinates
+   */
+  function getDocumentRect(rect) {
+    const scrollX = window.scrollX;
+    const scrollY = window.scrollY;
+    return () => {
+      const dx = scrollX - window.scrollX;
+      const dy = scrollY - window.scrollY;
+      return {
+        top: rect.top + dy,
+        bottom: rect.bottom + dy,
+        left: rect.left + dx,
+        right: rect.right + dx,
+        width: rect.width,
+        height: rect.height,
+      };
+    };
+  }
+
+  /**
+   * Moves the popup back next to its selection on the next animation frame
+   * (after scrolling, resizing or reflow)
+   */
+  function schedulePopupTracking() {
+    if (!popupAnchor || trackingFrame) {
+      return;
+    }
+    trackingFrame = requestAnimationFrame(() => {
+      trackingFrame = null;
+      if (!popupAnchor || !popupAnchor.popup.host.isConnected) {
+        return;
+      }
+      const rect = popupAnchor.getRect();
+      // A detached range reports an empty rect; keep the last position
+      if (!rect || (rect.width === 0 && rect.height === 0 && rect.top === 0 && rect.left === 0)) {
+        return;
+      }
+      const { top, bottom, left, right, width, height } = rect;
+      popupAnchor.context.selectionRect = { top, bottom, left, right, width, height };
+      repositionPopup(popupAnchor.popup, popupAnchor.context.selectionRect);
+    });
+  }
+
+  /**
+   * Detaches a popup into a floating panel that stays open, fixed in the
+   * viewport, until it is closed. The panel can be dragged by its title bar
+   * and resized from its corner. Pinning another popup replaces it.
+   * @param {Object} popup - Popup elements ({host, shadowRoot, container, content})
+   */
+  function pinPopup(popup) {
+    if (popup.pinned) {
+      return;
+    }
+    if (pinnedPopup) {
+      closePinnedPopup();
+    }
+
+    const { host, container, content } = popup;
+    const rect = container.getBoundingClientRect();
+    const card = content.querySelector('.quickdefine-card');
+    const cardRect = card ? card.getBoundingClientRect() : rect;
+
+    // Stop treating it as the transient popup
+    if (currentPopup === host) {
+      currentPopup = null;
+      popupAnchor = null;
+      popup.returnFocus = previousFocus;
+      previousFocus = null;
+    }
+    popup.pinned = true;
+    pinnedPopup = popup;
+
+    // Keep the current size; the content element is the resizable part
+    content.style.width = `${cardRect.width}px`;
+    content.style.height = `${cardRect.height}px`;
+    host.style.position = 'fixed';
+    host.style.top = `${rect.top}px`;
+    host.style.left = `${rect.left}px`;
+    container.classList.add('quickdefine-pinned');
+
+    const bar = document.createElement('div');
+    bar.className = 'quickdefine-panel-bar';
+    bar.innerHTML = `
+      <span class="quickdefine-panel-title">QuickDefine</span>
+      <button class="quickdefine-close-btn" aria-label="Close panel" title="Close">✕</button>
+    `;
+    container.insertBefore(bar, content);
+
+    const closeButton = bar.querySelector('.quickdefine-close-btn');
+    closeButton.addEventListener('click', (e) => {
+      e.stopPropagation();
+      closePinnedPopup();
+    });
+    makeDraggable(host, bar);
+    closeButton.focus({ preventScroll: true });
+  }
+
+  /**
+   * Lets a fixed-position element be dragged around the viewport by a handle
+   * @param {HTMLElement} host - Element to move
+   * @param {HTMLElement} handle - Element that starts the drag
+   */
+  function makeDraggable(host, handle) {
+    let start = null;
+
+    handle.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0 || e.target.closest('button')) {
+        return;
+      }
+      e.preventDefault();
+      start = {
+        x: e.clientX,
+        y: e.clientY,
+        top: parseFloat(host.style.top),
+        left: parseFloat(host.style.left),
+      };
+      handle.setPointerCapture(e.pointerId);
+    });
+
+    handle.addEventListener('pointermove', (e) => {
+      if (start) {
+        movePanel(host, start.top + e.clientY - start.y, start.left + e.clientX - start.x);
+      }
+    });
+
+    const stop = () => {
+      start = null;
+    };
+    handle.addEventListener('pointerup', stop);
+    handle.addEventListener('pointercancel', stop);
+  }
+
+  /**
+   * Moves a floating panel, keeping its title bar inside the viewport
+   * @param {HTMLElement} host - Panel host element
+   * @param {number} top - Desired top (viewport px)
+   * @param {number} left - Desired left (viewport px)
+   */
+  function movePanel(host, top, left) {
+    const { width } = host.shadowRoot.querySelector('.quickdefine-container').getBoundingClientRect();
+    const minVisible = 40; // px of the panel that stays reachable
+    host.style.top = `${Math.min(Math.max(top, 0), window.innerHeight - minVisible)}px`;
+    host.style.left = `${Math.min(Math.max(left, minVisible - width), window.innerWidth - minVisible)}px`;
+  }
+
+  /**
+   * Closes the floating panel
+   */
+  function closePinnedPopup() {
+    if (!pinnedPopup) {
+      return;
+    }
+    const { host, shadowRoot, returnFocus } = pinnedPopup;
+    const hadFocus = Boolean(shadowRoot.activeElement);
+    cancelLookup(host);
+    host.remove();
+    pinnedPopup = null;
+
+    if (hadFocus && returnFocus && returnFocus.isConnected) {
+      returnFocus.focus({ preventScroll: true });
+    }
+  }
+
+  /**
+   * Closes a popup, whether it is the transient popup or the floating panel
+   * @param {Object} popup - Popup elements ({host})
+   */
+  function dismissPopup(popup) {
+    if (popup.pinned) {
+      closePinnedPopup();
+    } else if (popup.host === currentPopup) {
+      removePopup();
+    }
+  }
+
+  /**
+   * Asks the top frame (via the service worker) to show a lookup from this
+   * frame, with the selection rect translated to top window coordinates
+   * @param {string} word - The word to look up
+   * @param {Object} context - Lookup context in this frame's coordinates
+   * @param {Object} options - Options
+   * @param {boolean} options.focus - Move focus into the popup
+   * @returns {Promise<boolean>} - True if the top frame shows the popup
+   */
+  async function showInTopFrame(word, context, { focus = false } = {}) {
+    const offset = await getFrameOffset();
+    if (!offset) {
+      return false;
+    }
+
+    const rect = context.selectionRect;
+    const selectionRect = {
+      top: rect.top + offset.y,
+      bottom: rect.bottom + offset.y,
+      left: rect.left + offset.x,
+      right: rect.right + offset.x,
+      width: rect.width,
+      height: rect.height,
+    };
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: MESSAGE_TYPES.SHOW_DEFINITION,
+        word,
+        context: { ...context, selectionRect },
+        focus,
+      });
+      remotePopupOpen = Boolean(response && response.shown);
+      return remotePopupOpen;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Closes the popup, or asks the top frame to close a popup shown for this frame
+   */
+  function closePopup() {
+    removePopup();
+    if (remotePopupOpen) {
+      remotePopupOpen = false;
+      chrome.runtime.sendMessage({ type: MESSAGE_TYPES.CLOSE_POPUP }).catch(() => {
+        // The top frame has gone away
+      });
+    }
+  }
+
+  /**
+   * Removes the current popup from the DOM
+   */
+  function removePopup() {
+    if (currentPopup) {
+      const hadFocus = Boolean(currentPopup.shadowRoot.activeElement);
+      cancelLookup(currentPopup);
+      currentPopup.remove();
+      currentPopup = null;
+      popupAnchor = null;
+
+      // Return focus to where it was, unless the user moved it elsewhere
+      if (hadFocus && previousFocus && previousFocus.isConnected) {
+        previousFocus.focus({ preventScroll: true });
+      }
+      previousFocus = null;
+    }
+  }
+
+  /**
+   * Handles mouseup event to detect text selection
+   * @param {MouseEvent} event - The mouseup event
+   */
+  function handleMouseUp(event) {
+    // Clear any existing debounce timer
+    if (debounceTimer) {
+      clearTimeout(debounceTimer);
+    }
+
+    const triggered = matchesTrigger(event);
+    const path = event.composedPath();
+    const shadowRoots = getShadowRootsFromPath(path);
+    const editable = CONFIG.EDITABLE.ENABLED ? getEditableElement(path[0]) : null;
+
+    // Debounce the selection check
+    debounceTimer = setTimeout(() => {
+      const { text, range } = getSelectedRange(shadowRoots);
+      const selectedText = text.trim();
+
+      // Opt-in: selections inside text fields and editors
+      if (triggered && editable && showEditableDefinition(editable, { range, focus: true })) {
+        return;
+      }
+
+      // Check if selection is valid and was made the configured way
+      if (!triggered || !isValidSelection(selectedText, range)) {
+        // If clicking outside, remove popup
+        if (currentPopup && !currentPopup.contains(event.target)) {
+          removePopup();
+        }
+        return;
+      }
+
+      // Show definition
+      showDefinition(selectedText, range, { focus: true });
+    }, CONFIG.SELECTION.DEBOUNCE_DELAY);
+  }
+
+  /**
+   * Checks whether a mouseup should trigger a lookup in the configured mode
+   * @param {MouseEvent} event - The mouseup event
+   * @returns {boolean} - True if the selection should be looked up
+   */
+  function matchesTrigger(event) {
+    switch (CONFIG.TRIGGER.MODE) {
+      case 'select':
+        return true;
+      case 'modifier':
+        return Boolean(event[MODIFIER_KEYS[CONFIG.TRIGGER.MODIFIER]]);
+      case 'doubleclick':
+        return event.detail === 2;
+      default:
+        // 'hover' and 'shortcut' never look up on selection
+        return false;
+    }
+  }
+
+  /**
+   * Looks up the word under a viewport point
+   * @param {number} x - Client X coordinate
+   * @param {number} y - Client Y coordinate
+   * @param {Object} options - Options
+   * @param {boolean} options.focus - Move focus into the popup (not for hover)
+   * @returns {Range|null} - The word range looked up, or null if none
+   */
+  function lookupWordAtPoint(x, y, { focus = false } = {}) {
+    const range = getWordRangeAtPoint(x, y);
+    const word = range ? range.toString() : '';
+    if (!isValidSelection(word, range)) {
+      return null;
+    }
+
+    showDefinition(word, range, { focus });
+    return range;
+  }
+
+  /**
+   * Tracks the pointer and, in hover mode, looks up the word it rests on
+   * @param {MouseEvent} event - The mousemove event
+   */
+  function handleMouseMove(event) {
+    pointerPosition = { x: event.clientX, y: event.clientY };
+
+    if (!listening || CONFIG.TRIGGER.MODE !== 'hover') {
+      return;
+    }
+
+    clearTimeout(hoverTimer);
+
+    // Ignore movement over the popup and while dragging out a selection
+    const path = event.composedPath();
+    if (event.buttons !== 0 || (currentPopup && path.includes(currentPopup)) ||
+        (pinnedPopup && path.includes(pinnedPopup.host))) {
+      return;
+    }
+
+    hoverTimer = setTimeout(() => {
+      const range = getWordRangeAtPoint(pointerPosition.x, pointerPosition.y);
+
+      // Don't reload the popup while the pointer stays on the same word
+      if ((currentPopup || remotePopupOpen) && range && hoverRange &&
+          range.startContainer === hoverRange.startContainer && range.startOffset === hoverRange.startOffset) {
+        return;
+      }
+
+      hoverRange = lookupWordAtPoint(pointerPosition.x, pointerPosition.y);
+    }, CONFIG.TRIGGER.HOVER_DELAY);
+  }
+
+  /**
+   * Defines the current selection, or the word under the pointer when
+   * nothing is selected (keyboard shortcut and context menu). Works in
+   * every trigger mode.
+   * @param {string} text - Selected text reported by the browser, used when
+   *   the page selection can't be read
+   */
+  function handleDefineCommand(text = '') {
+    const shadowRoots = getFocusedShadowRoots();
+    const selection = getSelectedRange(shadowRoots);
+    const selectedText = selection.text.trim() || text.trim();
+    const range = selection.range;
+
+    // Opt-in: the selection or caret word in the focused field
+    const focused = shadowRoots.length > 0 ? shadowRoots[0].activeElement : document.activeElement;
+    const editable = CONFIG.EDITABLE.ENABLED ? getEditableElement(focused) : null;
+    if (editable && showEditableDefinition(editable, { expandCaret: true, range, focus: true })) {
+      return;
+    }
+
+    if (isValidSelection(selectedText, range)) {
+      showDefinition(selectedText, range, { focus: true });
+    } else if (pointerPosition) {
+      lookupWordAtPoint(pointerPosition.x, pointerPosition.y, { focus: true });
+    }
+  }
+
+  /**
+   * Handles messages from the background service worker
+   * @param {Object} message - The message
+   * @param {Object} sender - The sender
+   * @param {Function} sendResponse - Responds to the sender
+   */
+  function handleMessage(message, sender, sendResponse) {
+    if (!message) {
+      return;
+    }
+
+    if (message.type === MESSAGE_TYPES.DEFINE_SELECTION) {
+      // The shortcut is sent to every frame; only the focused one answers
+      if (!message.focusedOnly || hasOwnFocus()) {
+        handleDefineCommand(message.text);
+      }
+    } else if (isShowDefinitionMessage(message) && isTopFrame()) {
+      openPopup(message.word, message.context, null, { focus: message.focus === true });
+      sendResponse({ shown: true });
+    } else if (message.type === MESSAGE_TYPES.CLOSE_POPUP && isTopFrame()) {
+      removePopup();
+    }
+  }
+
+  /**
+   * Handles click events for click-outside-to-close functionality
+   * @param {MouseEvent} event - The click event
+   */
+  function handleClick(event) {
+    if (remotePopupOpen) {
+      closePopup();
+    }
+    if (!currentPopup) {
+      return;
+    }
+
+    // Check if click is outside the popup
     const clickTarget = event.target;
     const shadowRoot = currentPopup.shadowRoot;
     
@@ -470,18 +1911,40 @@
     // Also check if click is on the host element itself
     if (!isInsidePopup && !currentPopup.contains(clickTarget)) {
       removePopup();
-      // Clear selection to prevent immediate re-trigger
-      window.getSelection().removeAllRanges();
+      // Clear selection to prevent immediate re-trigger, but keep the caret in fields
+      if (!getEditableElement(event.composedPath()[0])) {
+        window.getSelection().removeAllRanges();
+      }
     }
   }
 
   /**
-   * Handles scroll events to update popup position or remove it
+   * Handles scroll events: keeps the popup next to its selection
+   * @param {Event} event - The scroll event
    */
-  function handleScroll() {
-    if (currentPopup) {
-      // Remove popup on scroll for better UX
-      removePopup();
+  function handleScroll(event) {
+    // Scrolling the popup's own content doesn't move the selection
+    if (currentPopup && event.composedPath().includes(currentPopup)) {
+      return;
+    }
+
+    // The top frame can't follow a selection inside this frame
+    if (remotePopupOpen) {
+      closePopup();
+    }
+
+    schedulePopupTracking();
+  }
+
+  /**
+   * Handles window resizes: re-anchors the popup and keeps the floating
+   * panel on screen
+   */
+  function handleResize() {
+    schedulePopupTracking();
+    if (pinnedPopup) {
+      const { host } = pinnedPopup;
+      movePanel(host, parseFloat(host.style.top), parseFloat(host.style.left));
     }
   }
 
@@ -490,39 +1953,115 @@
    * @param {KeyboardEvent} event - The keyboard event
    */
   function handleKeyDown(event) {
-    if (event.key === CONFIG.KEYBOARD.ESC && currentPopup) {
-      removePopup();
-      // Clear selection to prevent immediate re-trigger
-      window.getSelection().removeAllRanges();
+    // ESC inside the floating panel closes just the panel
+    if (event.key === CONFIG.KEYBOARD.ESC && pinnedPopup && pinnedPopup.shadowRoot.activeElement) {
+      closePinnedPopup();
+      event.preventDefault();
+      event.stopPropagation();
+      return;
+    }
+
+    if (event.key === CONFIG.KEYBOARD.ESC && (currentPopup || remotePopupOpen)) {
+      const focusTarget = previousFocus;
+      closePopup();
+      // Clear selection to prevent immediate re-trigger, but keep the caret in fields
+      if (!getEditableElement(focusTarget)) {
+        window.getSelection().removeAllRanges();
+      }
       event.preventDefault();
       event.stopPropagation();
     }
   }
 
+  /**
+   * Merges user settings over the defaults and applies them
+   * @param {Object} settings - Validated user settings
+   */
+  function applyUserSettings(settings) {
+    CONFIG = applySettings(QUICKDEFINE_CONFIG, settings);
+    // The stored setting now includes any "Show more" choice saved from here
+    definitionsExpanded = null;
+
+    // Site rules decide whether this page listens at all, and may override the trigger
+    const site = getSiteState(CONFIG, location.href);
+    CONFIG.TRIGGER.MODE = site.trigger;
+    setListening(site.enabled);
+
+    if (isTopFrame()) {
+      chrome.runtime.sendMessage({ type: MESSAGE_TYPES.SITE_STATE, enabled: site.enabled }).catch(() => {
+        // The service worker may be restarting; the indicator is cosmetic
+      });
+    }
+  }
+
+  /**
+   * Attaches or detaches the selection listener that triggers lookups.
+   * Hover lookups check `listening` themselves.
+   * @param {boolean} enabled - Whether QuickDefine is enabled on this page
+   */
+  function setListening(enabled) {
+    if (enabled === listening) {
+      return;
+    }
+    listening = enabled;
+
+    if (enabled) {
+      document.addEventListener('mouseup', handleMouseUp, true);
+    } else {
+      document.removeEventListener('mouseup', handleMouseUp, true);
+      clearTimeout(hoverTimer);
+      closePopup();
+    }
+  }
+
   /**
    * Initializes the extension
    */
-  function init() {
-    // Attach event listeners
-    document.addEventListener('mouseup', handleMouseUp, true);
+  async function init() {
+    // Child frames may ask for their offset, and the background may send a
+    // shortcut or context menu lookup, before our settings load
+    const stopFrameRequests = listenForFrameRequests();
+    chrome.runtime.onMessage.addListener(handleMessage);
+
+    // Load user settings and site rules before listening so the first lookup uses them
+    applyUserSettings(await loadSettings());
+    const unsubscribeSettings = onSettingsChanged(applyUserSettings);
+
+    // The shortcut and context menu work even where the site is disabled,
+    // so the listeners that close their popups are always attached
     document.addEventListener('click', handleClick, true);
     window.addEventListener('scroll', handleScroll, true);
+    window.addEventListener('resize', handleResize);
     document.addEventListener('keydown', handleKeyDown, true);
+    document.addEventListener('mousemove', handleMouseMove, true);
 
     // Cleanup on page unload
     window.addEventListener('beforeunload', () => {
-      removePopup();
-      document.removeEventListener('mouseup', handleMouseUp, true);
+      setListening(false);
+      unsubscribeSettings();
+      stopFrameRequests();
+      chrome.runtime.onMessage.removeListener(handleMessage);
       document.removeEventListener('click', handleClick, true);
       window.removeEventListener('scroll', handleScroll, true);
+      window.removeEventListener('resize', handleResize);
       document.removeEventListener('keydown', handleKeyDown, true);
+      document.removeEventListener('mousemove', handleMouseMove, true);
+    });
+  }
+
+  /**
+   * Runs init, logging failures instead of leaving the rejection unhandled
+   */
+  function start() {
+    init().catch((error) => {
+      console.error('QuickDefine: Failed to initialize', error);
     });
   }
 
   // Initialize when DOM is ready
   if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
+    document.addEventListener('DOMContentLoaded', start);
   } else {
-    init();
+    start();
   }
 })();
@@ -0,0 +1,289 @@
+/**
+ * QuickDefine - Editable Fields
+ * Finds the word selected (or under the caret) in text fields and rich
+ * editors, measures where it is drawn, and replaces it while keeping the
+ * field's undo history
+ */
+
+(function() {
+  'use strict';
+
+  // Input types that expose selectionStart/selectionEnd
+  const TEXT_INPUT_TYPES = ['text', 'search', 'url', 'tel'];
+
+  // Computed styles copied to the caret mirror so text wraps identically
+  const MIRROR_PROPERTIES = [
+    'boxSizing', 'width', 'height', 'overflowX', 'overflowY',
+    'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth', 'borderStyle',
+    'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+    'fontStyle', 'fontVariant', 'fontWeight', 'fontStretch', 'fontSize', 'fontSizeAdjust',
+    'lineHeight', 'fontFamily', 'textAlign', 'textTransform', 'textIndent',
+    'letterSpacing', 'wordSpacing', 'tabSize', 'direction',
+  ];
+
+  /**
+   * @typedef {Object} EditableTarget
+   * @property {string} text - Selected or caret word
+   * @property {{top: number, bottom: number, left: number, right: number, width: number, height: number}} rect
+   *   - Where the text is drawn, in viewport coordinates
+   * @property {HTMLInputElement|HTMLTextAreaElement} [field] - Text control
+   * @property {number} [start] - Start offset in the text control
+   * @property {number} [end] - End offset in the text control
+   * @property {Range} [range] - Range in a rich editor
+   * @property {Element} [root] - Editing host of the range
+   */
+
+  /**
+   * Check whether an element is a text control with a readable selection
+   * @param {Element} element - Element to check
+   * @returns {boolean} True for textareas and text-like inputs
+   */
+  function isTextControl(element) {
+    if (element instanceof HTMLTextAreaElement) {
+      return true;
+    }
+    return element instanceof HTMLInputElement && TEXT_INPUT_TYPES.includes(element.type);
+  }
+
+  /**
+   * Get the editable element containing a node
+   * @param {Node} node - Event target or range container
+   * @returns {Element|null} Text control or rich editing host, or null
+   */
+  function getEditableElement(node) {
+    const element = node && node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+    if (!element || !(element instanceof Element)) {
+      return null;
+    }
+    if (isTextControl(element)) {
+      return element.readOnly || element.disabled ? null : element;
+    }
+    if (element.isContentEditable) {
+      return element.closest('[contenteditable]:not([contenteditable="false"])') || element;
+    }
+    return element.closest('[role="textbox"]');
+  }
+
+  /**
+   * Find the bounds of the word around an offset in a string
+   * @param {string} text - Text to search
+   * @param {number} offset - Caret offset
+   * @returns {{start: number, end: number}|null} Word bounds, or null if the
+   *   offset is not in or next to a word
+   */
+  function getWordBounds(text, offset) {
+    const isWordChar = (char) => /[\p{L}\p{M}\p{N}'’-]/u.test(char);
+    let start = offset;
+    let end = offset;
+    while (start > 0 && isWordChar(text[start - 1])) {
+      start--;
+    }
+    while (end < text.length && isWordChar(text[end])) {
+      end++;
+    }
+    while (start < end && /['’-]/.test(text[start])) {
+      start++;
+    }
+    while (end > start && /['’-]/.test(text[end - 1])) {
+      end--;
+    }
+    return start === end ? null : { start, end };
+  }
+
+  /**
+   * Measure the caret position in a text control by laying out its text in
+   * an invisible mirror element with the same styles
+   * @param {HTMLInputElement|HTMLTextAreaElement} field - Text control
+   * @param {number} position - Character offset
+   * @returns {{top: number, left: number, height: number}} Caret in viewport coordinates
+   */
+  function getCaretCoordinates(field, position) {
+    const style = getComputedStyle(field);
+    const mirror = document.createElement('div');
+    for (const property of MIRROR_PROPERTIES) {
+      mirror.style[property] = style[property];
+    }
+    mirror.style.position = 'absolute';
+    mirror.style.top = '0';
+    mirror.style.left = '-9999px';
+    mirror.style.visibility = 'hidden';
+    mirror.style.overflow = 'hidden';
+    // Inputs never wrap; textareas wrap like pre-wrap text
+    mirror.style.whiteSpace = field instanceof HTMLInputElement ? 'pre' : 'pre-wrap';
+    mirror.style.overflowWrap = field instanceof HTMLInputElement ? 'normal' : 'break-word';
+    mirror.textContent = field.value.slice(0, position);
+
+    const marker = document.createElement('span');
+    marker.textContent = field.value.slice(position) || '.';
+    mirror.appendChild(marker);
+    document.body.appendChild(mirror);
+
+    const top = marker.offsetTop + parseFloat(style.borderTopWidth);
+    const left = marker.offsetLeft + parseFloat(style.borderLeftWidth);
+    const height = parseFloat(style.lineHeight) || parseFloat(style.fontSize) * 1.2;
+    mirror.remove();
+
+    const rect = field.getBoundingClientRect();
+    return {
+      top: rect.top + top - field.scrollTop,
+      left: rect.left + left - field.scrollLeft,
+      height,
+    };
+  }
+
+  /**
+   * Get where a span of text is drawn in a text control, clamped to the field
+   * @param {HTMLInputElement|HTMLTextAreaElement} field - Text control
+   * @param {number} start - Start offset
+   * @param {number} end - End offset
+   * @returns {Object} Rect in viewport coordinates
+   */
+  function getTextControlRect(field, start, end) {
+    const fieldRect = field.getBoundingClientRect();
+    const startCaret = getCaretCoordinates(field, start);
+    const endCaret = getCaretCoordinates(field, end);
+
+    // A span that wraps is anchored to its first line
+    const left = Math.max(fieldRect.left, Math.min(startCaret.left, fieldRect.right));
+    const right = endCaret.top === startCaret.top
+      ? Math.max(left, Math.min(endCaret.left, fieldRect.right))
+      : left;
+    const top = Math.max(fieldRect.top, Math.min(startCaret.top, fieldRect.bottom - startCaret.height));
+    const bottom = top + startCaret.height;
+
+    return { top, bottom, left, right, width: right - left, height: bottom - top };
+  }
+
+  /**
+   * Get the selected word in a text control, or the word at the caret
+   * @param {HTMLInputElement|HTMLTextAreaElement} field - Text control
+   * @param {Object} options - Options
+   * @param {boolean} options.expandCaret - Use the word at a collapsed caret
+   * @returns {EditableTarget|null} Target, or null if nothing to look up
+   */
+  function getTextControlTarget(field, { expandCaret = false } = {}) {
+    let start = field.selectionStart;
+    let end = field.selectionEnd;
+    if (start === null || end === null) {
+      return null;
+    }
+
+    if (start === end) {
+      const bounds = expandCaret ? getWordBounds(field.value, start) : null;
+      if (!bounds) {
+        return null;
+      }
+      ({ start, end } = bounds);
+    }
+
+    // Leave surrounding whitespace out so a replacement keeps it
+    while (start < end && /\s/.test(field.value[start])) {
+      start++;
+    }
+    while (end > start && /\s/.test(field.value[end - 1])) {
+      end--;
+    }
+    if (start === end) {
+      return null;
+    }
+
+    const text = field.value.slice(start, end);
+    return { text, rect: getTextControlRect(field, start, end), field, start, end };
+  }
+
+  /**
+   * Get the selected text in a rich editor, or the word at the caret
+   * @param {Range} selectedRange - Current selection range
+   * @param {Element} root - Editing host
+   * @param {Object} options - Options
+   * @param {boolean} options.expandCaret - Use the word at a collapsed caret
+   * @returns {EditableTarget|null} Target, or null if nothing to look up
+   */
+  function getRangeTarget(selectedRange, root, { expandCaret = false } = {}) {
+    let range = selectedRange.cloneRange();
+
+    if (range.collapsed) {
+      const node = range.startContainer;
+      const bounds = expandCaret && node.nodeType === Node.TEXT_NODE
+        ? getWordBounds(node.textContent, range.startOffset)
+        : null;
+      if (!bounds) {
+        return null;
+      }
+      range = document.createRange();
+      range.setStart(node, bounds.start);
+      range.setEnd(node, bounds.end);
+    }
+
+    const { top, bottom, left, right, width, height } = range.getBoundingClientRect();
+    return { text: range.toString(), rect: { top, bottom, left, right, width, height }, range, root };
+  }
+
+  /**
+   * Give a replacement the capitalization of the text it replaces
+   * @param {string} original - Replaced text
+   * @param {string} replacement - New text
+   * @returns {string} Replacement with matching case
+   */
+  function matchCase(original, replacement) {
+    if (original.length > 1 && original === original.toUpperCase() && original !== original.toLowerCase()) {
+      return replacement.toUpperCase();
+    }
+    if (original[0] && original[0] !== original[0].toLowerCase()) {
+      return replacement[0].toUpperCase() + replacement.slice(1);
+    }
+    return replacement;
+  }
+
+  /**
+   * Replace the target text. Uses the editing command so the change joins
+   * the field's undo history (Ctrl+Z restores the original word).
+   * @param {EditableTarget} target - Target from getTextControlTarget/getRangeTarget
+   * @param {string} replacement - New text
+   * @returns {boolean} True if replaced; false if the text changed meanwhile
+   */
+  function replaceTarget(target, replacement) {
+    const text = matchCase(target.text, replacement);
+
+    if (target.field) {
+      const { field, start, end } = target;
+      if (field.value.slice(start, end) !== target.text) {
+        return false;
+      }
+      field.focus();
+      field.setSelectionRange(start, end);
+      if (!document.execCommand('insertText', false, text)) {
+        // Fallback without undo support
+        field.setRangeText(text, start, end, 'end');
+        field.dispatchEvent(new Event('input', { bubbles: true }));
+      }
+      return true;
+    }
+
+    if (target.range.toString() !== target.text) {
+      return false;
+    }
+    target.root.focus();
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(target.range);
+    if (!document.execCommand('insertText', false, text)) {
+      target.range.deleteContents();
+      target.range.insertNode(document.createTextNode(text));
+      target.root.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+    return true;
+  }
+
+  // Export editable helpers to global scope
+  window.QuickDefineEditable = {
+    isTextControl,
+    getEditableElement,
+    getWordBounds,
+    getCaretCoordinates,
+    getTextControlRect,
+    getTextControlTarget,
+    getRangeTarget,
+    replaceTarget,
+  };
+})();
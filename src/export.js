@@ -0,0 +1,255 @@
+/**
+ * QuickDefine - Vocabulary Export & Import
+ * Serializes history and saved words to Anki TSV, CSV, JSON and Markdown,
+ * and parses JSON exports back for import
+ */
+
+(function() {
+  'use strict';
+
+  const JSON_FORMAT = 'quickdefine-vocabulary';
+  const JSON_VERSION = 1;
+
+  // Export formats offered in the UI
+  const EXPORT_FORMATS = {
+    anki: { label: 'Anki (TSV)', extension: 'txt', mimeType: 'text/tab-separated-values' },
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+    markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  };
+
+  /**
+   * @typedef {Object} ExportItem
+   * @property {string} key - Word key
+   * @property {string} word - Headword
+   * @property {string} language - ISO 639 language code
+   * @property {string} sentence - Context sentence
+   * @property {string} url - Page URL
+   * @property {number} time - Lookup or save time (ms since epoch)
+   * @property {Object|null} entry - Stored entry ({data, source, sourceName})
+   */
+
+  /**
+   * Escape HTML entities (Anki back fields are HTML)
+   * @param {string} str - String to escape
+   * @returns {string} Escaped string
+   */
+  function escapeHTML(str) {
+    const map = {
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#039;',
+    };
+    return String(str || '').replace(/[&<>"']/g, (m) => map[m]);
+  }
+
+  /**
+   * Get the first normalized entry of an export item
+   * @param {ExportItem} item - Export item
+   * @returns {Object|null} Dictionary entry
+   */
+  function firstEntry(item) {
+    return item.entry?.data?.[0] || null;
+  }
+
+  /**
+   * Get the phonetic transcription of an export item
+   * @param {ExportItem} item - Export item
+   * @returns {string} Phonetic or ''
+   */
+  function getPhonetic(item) {
+    const entry = firstEntry(item);
+    return entry?.phonetic || entry?.phonetics?.find(p => p.text)?.text || '';
+  }
+
+  /**
+   * Get the meanings of an export item
+   * @param {ExportItem} item - Export item
+   * @returns {Array<Object>} Meanings
+   */
+  function getMeanings(item) {
+    return firstEntry(item)?.meanings || [];
+  }
+
+  /**
+   * Anki-importable TSV with front, back and tags columns
+   * @param {ExportItem[]} items - Items to export
+   * @returns {string} TSV text
+   */
+  function toAnkiTSV(items) {
+    const clean = (value) => String(value).replace(/[\t\r\n]+/g, ' ');
+
+    const rows = items.map(item => {
+      const phonetic = getPhonetic(item);
+      const meanings = getMeanings(item).map(meaning => {
+        const definitions = (meaning.definitions || [])
+          .map(def => `<li>${escapeHTML(def.definition)}</li>`)
+          .join('');
+        return `<b>${escapeHTML(meaning.partOfSpeech)}</b><ol>${definitions}</ol>`;
+      }).join('');
+
+      const back = [
+        phonetic ? `<i>${escapeHTML(phonetic)}</i>` : '',
+        meanings,
+        item.sentence ? `<blockquote>${escapeHTML(item.sentence)}</blockquote>` : '',
+      ].join('');
+
+      const tags = [
+        'quickdefine',
+        item.language ? `lang::${item.language}` : '',
+        ...getMeanings(item).map(meaning => meaning.partOfSpeech.replace(/\s+/g, '_')),
+      ].filter(Boolean);
+
+      return [item.word, back, [...new Set(tags)].join(' ')].map(clean).join('\t');
+    });
+
+    return ['#separator:tab', '#html:true', '#tags column:3', ...rows].join('\n') + '\n';
+  }
+
+  /**
+   * CSV with one row per word
+   * @param {ExportItem[]} items - Items to export
+   * @returns {string} CSV text
+   */
+  function toCSV(items) {
+    const quote = (value) => {
+      const str = String(value ?? '');
+      return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+
+    const header = ['word', 'language', 'phonetic', 'part_of_speech', 'definition', 'sentence', 'url', 'date'];
+    const rows = items.map(item => {
+      const meanings = getMeanings(item);
+      return [
+        item.word,
+        item.language,
+        getPhonetic(item),
+        meanings.map(meaning => meaning.partOfSpeech).join('; '),
+        meanings.map(meaning => meaning.definitions?.[0]?.definition || '').filter(Boolean).join('; '),
+        item.sentence,
+        item.url,
+        new Date(item.time).toISOString(),
+      ].map(quote).join(',');
+    });
+
+    return [header.join(','), ...rows].join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Markdown document with one section per word
+   * @param {ExportItem[]} items - Items to export
+   * @returns {string} Markdown text
+   */
+  function toMarkdown(items) {
+    const sections = items.map(item => {
+      const lines = [`## ${item.word}`, ''];
+      const phonetic = getPhonetic(item);
+      if (phonetic) {
+        lines.push(`*${phonetic}*`, '');
+      }
+      for (const meaning of getMeanings(item)) {
+        lines.push(`**${meaning.partOfSpeech}**`, '');
+        (meaning.definitions || []).forEach((def, index) => {
+          lines.push(`${index + 1}. ${def.definition}`);
+        });
+        lines.push('');
+      }
+      if (item.sentence) {
+        lines.push(`> ${item.sentence}`, '');
+      }
+      if (item.url) {
+        lines.push(`Source: <${item.url}>`, '');
+      }
+      return lines.join('\n');
+    });
+
+    return `# QuickDefine Vocabulary\n\n${sections.join('\n')}`;
+  }
+
+  /**
+   * Full-fidelity JSON export that can be imported again
+   * @param {Object} data - Data to export
+   * @param {Array<Object>} data.history - History records
+   * @param {Array<Object>} data.vocabulary - Vocabulary items
+   * @param {Object} data.entries - Stored entries keyed by word key
+   * @returns {string} JSON text
+   */
+  function toJSON({ history = [], vocabulary = [], entries = {} }) {
+    return JSON.stringify({
+      format: JSON_FORMAT,
+      version: JSON_VERSION,
+      exportedAt: new Date().toISOString(),
+      history,
+      vocabulary,
+      entries,
+    }, null, 2);
+  }
+
+  /**
+   * Check that an imported review card has the shape srs.js schedules with
+   * @param {*} review - Candidate review card
+   * @returns {boolean} True if every field is present and well-formed
+   */
+  function isValidReview(review) {
+    return Boolean(review) && typeof review === 'object' &&
+      ['due', 'interval', 'ease', 'repetitions', 'lapses'].every(field => Number.isFinite(review[field])) &&
+      Array.isArray(review.grades) &&
+      review.grades.every(entry => entry && Number.isFinite(entry.at) && typeof entry.grade === 'string');
+  }
+
+  /**
+   * Parse and validate a JSON export
+   * @param {string} text - File contents
+   * @returns {{history: Array<Object>, vocabulary: Array<Object>, entries: Object}} Import data
+   * @throws {Error} If the file is not a valid QuickDefine export
+   */
+  function parseJSONImport(text) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw new Error('File is not valid JSON');
+    }
+
+    if (!parsed || parsed.format !== JSON_FORMAT) {
+      throw new Error('File is not a QuickDefine export');
+    }
+    if (parsed.version > JSON_VERSION) {
+      throw new Error('File was exported by a newer version of QuickDefine');
+    }
+
+    const isValidItem = (item) => item && typeof item.key === 'string' && typeof item.word === 'string';
+    const history = Array.isArray(parsed.history)
+      ? parsed.history.filter(record => isValidItem(record) && typeof record.id === 'string' && Number.isFinite(record.timestamp))
+      : [];
+    const vocabulary = Array.isArray(parsed.vocabulary)
+      ? parsed.vocabulary
+        .filter(item => isValidItem(item) && Number.isFinite(item.savedAt))
+        // A malformed card is dropped; the word is then reviewed as new
+        .map(({ review, ...item }) => (isValidReview(review) ? { ...item, review } : item))
+      : [];
+
+    const entries = {};
+    if (parsed.entries && typeof parsed.entries === 'object') {
+      for (const [key, entry] of Object.entries(parsed.entries)) {
+        if (entry && Array.isArray(entry.data)) {
+          entries[key] = entry;
+        }
+      }
+    }
+
+    return { history, vocabulary, entries };
+  }
+
+  // Export to global scope
+  window.QuickDefineExport = {
+    EXPORT_FORMATS,
+    toAnkiTSV,
+    toCSV,
+    toMarkdown,
+    toJSON,
+    parseJSONImport,
+  };
+})();
@@ -0,0 +1,236 @@
+/**
+ * QuickDefine - Frames & Shadow DOM
+ * Reads selections inside open shadow roots and resolves a frame's offset
+ * in the top window, so lookups in frames can be shown by the top frame
+ */
+
+(function() {
+  'use strict';
+
+  const OFFSET_REQUEST = 'quickdefine:frame-offset-request';
+  const OFFSET_RESPONSE = 'quickdefine:frame-offset';
+  const OFFSET_TIMEOUT = 1000; // milliseconds
+
+  // Pending offset requests by ID
+  const pendingOffsets = new Map();
+  let nextOffsetId = 0;
+
+  // Frame elements by child window, so repeat requests skip the search
+  const frameElements = new WeakMap();
+
+  /**
+   * Check whether this script runs in the top frame
+   * @returns {boolean} True for the top frame
+   */
+  function isTopFrame() {
+    return window === window.top;
+  }
+
+  /**
+   * Get the open shadow roots along an event path, innermost first
+   * @param {Array<EventTarget>} path - Result of event.composedPath()
+   * @returns {ShadowRoot[]} Shadow roots
+   */
+  function getShadowRootsFromPath(path) {
+    return path.filter(node => node instanceof ShadowRoot);
+  }
+
+  /**
+   * Get the open shadow roots containing the focused element, innermost first
+   * @returns {ShadowRoot[]} Shadow roots
+   */
+  function getFocusedShadowRoots() {
+    const roots = [];
+    let element = document.activeElement;
+    while (element && element.shadowRoot) {
+      roots.unshift(element.shadowRoot);
+      element = element.shadowRoot.activeElement;
+    }
+    return roots;
+  }
+
+  /**
+   * Get the open shadow roots under a viewport point, innermost first
+   * @param {number} x - Client X coordinate
+   * @param {number} y - Client Y coordinate
+   * @returns {ShadowRoot[]} Shadow roots
+   */
+  function getShadowRootsAtPoint(x, y) {
+    const roots = [];
+    let element = document.elementFromPoint(x, y);
+    while (element && element.shadowRoot) {
+      roots.unshift(element.shadowRoot);
+      const inner = element.shadowRoot.elementFromPoint(x, y);
+      element = inner === element ? null : inner;
+    }
+    return roots;
+  }
+
+  /**
+   * Get the selected text and range, looking inside open shadow roots first
+   * (the document selection only reports the shadow host)
+   * @param {ShadowRoot[]} shadowRoots - Candidate shadow roots, innermost first
+   * @returns {{text: string, range: Range|null}} Selection
+   */
+  function getSelectedRange(shadowRoots = []) {
+    const selection = window.getSelection();
+
+    for (const root of shadowRoots) {
+      // Chromium exposes the shadow tree selection on the root
+      if (typeof root.getSelection === 'function') {
+        const inner = root.getSelection();
+        if (inner && inner.rangeCount > 0 && !inner.isCollapsed) {
+          return { text: inner.toString(), range: inner.getRangeAt(0) };
+        }
+      }
+
+      // Standard API: composed ranges may end inside the given shadow roots
+      if (selection && typeof selection.getComposedRanges === 'function') {
+        const [staticRange] = selection.getComposedRanges({ shadowRoots: [root] });
+        if (staticRange && !staticRange.collapsed && root.contains(staticRange.startContainer)) {
+          const range = document.createRange();
+          range.setStart(staticRange.startContainer, staticRange.startOffset);
+          range.setEnd(staticRange.endContainer, staticRange.endOffset);
+          return { text: range.toString(), range };
+        }
+      }
+    }
+
+    const range = selection && selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
+    return { text: selection ? selection.toString() : '', range };
+  }
+
+  /**
+   * Get the offset of this frame's viewport in the top window's viewport.
+   * Each ancestor frame's content script answers for its child frame.
+   * @returns {Promise<{x: number, y: number}|null>} Offset, or null if an
+   *   ancestor didn't answer (e.g. QuickDefine doesn't run there)
+   */
+  function getFrameOffset() {
+    if (isTopFrame()) {
+      return Promise.resolve({ x: 0, y: 0 });
+    }
+
+    return new Promise((resolve) => {
+      const id = `${Date.now()}-${nextOffsetId++}`;
+      const timer = setTimeout(() => {
+        pendingOffsets.delete(id);
+        resolve(null);
+      }, OFFSET_TIMEOUT);
+
+      pendingOffsets.set(id, (offset) => {
+        clearTimeout(timer);
+        pendingOffsets.delete(id);
+        resolve(offset);
+      });
+      window.parent.postMessage({ type: OFFSET_REQUEST, id }, '*');
+    });
+  }
+
+  /**
+   * Find the frame element hosting a window among a tree's frames
+   * @param {Window} source - Child window
+   * @param {Document|ShadowRoot} root - Tree to search
+   * @returns {HTMLIFrameElement|HTMLFrameElement|null} Frame element
+   */
+  function findFrameIn(source, root) {
+    for (const frame of root.querySelectorAll('iframe, frame')) {
+      if (frame.contentWindow === source) {
+        return frame;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the frame element hosting a window in the open shadow roots of a tree
+   * @param {Window} source - Child window
+   * @param {Document|ShadowRoot} root - Tree whose shadow hosts to search
+   * @returns {HTMLIFrameElement|HTMLFrameElement|null} Frame element
+   */
+  function findFrameInShadowRoots(source, root) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT);
+    for (let element = walker.nextNode(); element; element = walker.nextNode()) {
+      if (element.shadowRoot) {
+        const frame = findFrameIn(source, element.shadowRoot) || findFrameInShadowRoots(source, element.shadowRoot);
+        if (frame) {
+          return frame;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the frame element hosting a window. Frames in the document are
+   * checked first; the walk through open shadow roots only runs when none
+   * matches, and its result is remembered for the frame's next requests.
+   * @param {Window} source - Child window
+   * @returns {HTMLIFrameElement|HTMLFrameElement|null} Frame element
+   */
+  function findFrameElement(source) {
+    const known = frameElements.get(source);
+    if (known && known.isConnected && known.contentWindow === source) {
+      return known;
+    }
+
+    const frame = findFrameIn(source, document) || findFrameInShadowRoots(source, document);
+    if (frame) {
+      frameElements.set(source, frame);
+    }
+    return frame;
+  }
+
+  /**
+   * Answers offset requests from child frames and resolves our own requests
+   * @param {MessageEvent} event - Window message event
+   */
+  async function handleWindowMessage(event) {
+    const data = event.data;
+    if (!data || typeof data !== 'object' || typeof data.id !== 'string') {
+      return;
+    }
+
+    if (data.type === OFFSET_REQUEST) {
+      const frame = findFrameElement(event.source);
+      const ownOffset = frame ? await getFrameOffset() : null;
+      if (!ownOffset) {
+        return;
+      }
+
+      // The frame's viewport starts inside its border and padding
+      const rect = frame.getBoundingClientRect();
+      const style = getComputedStyle(frame);
+      event.source.postMessage({
+        type: OFFSET_RESPONSE,
+        id: data.id,
+        x: ownOffset.x + rect.left + frame.clientLeft + parseFloat(style.paddingLeft),
+        y: ownOffset.y + rect.top + frame.clientTop + parseFloat(style.paddingTop),
+      }, '*');
+    } else if (data.type === OFFSET_RESPONSE && event.source === window.parent && pendingOffsets.has(data.id)) {
+      if (Number.isFinite(data.x) && Number.isFinite(data.y)) {
+        pendingOffsets.get(data.id)({ x: data.x, y: data.y });
+      }
+    }
+  }
+
+  /**
+   * Start answering offset requests from child frames
+   * @returns {Function} Stops listening
+   */
+  function listenForFrameRequests() {
+    window.addEventListener('message', handleWindowMessage);
+    return () => window.removeEventListener('message', handleWindowMessage);
+  }
+
+  // Export frame helpers to global scope
+  window.QuickDefineFrames = {
+    isTopFrame,
+    getShadowRootsFromPath,
+    getFocusedShadowRoots,
+    getShadowRootsAtPoint,
+    getSelectedRange,
+    getFrameOffset,
+    listenForFrameRequests,
+  };
+})();
@@ -0,0 +1,507 @@
+/**
+ * QuickDefine - Lookup History & Vocabulary
+ * Persists lookups and saved words in chrome.storage.local
+ *
+ * Storage layout:
+ *   history    - Array<HistoryRecord>, newest first, capped at HISTORY.MAX_ENTRIES
+ *   vocabulary - { [wordKey]: VocabularyItem } for starred words
+ *   entries    - { [wordKey]: StoredEntry } definitions referenced by either list
+ *
+ * Writes read and rewrite whole keys, so they all run in the service worker,
+ * one at a time; other contexts send them there with a history-write message.
+ */
+
+(function() {
+  'use strict';
+
+  const HISTORY_KEY = 'history';
+  const VOCABULARY_KEY = 'vocabulary';
+  const ENTRIES_KEY = 'entries';
+
+  /**
+   * @typedef {Object} HistoryRecord
+   * @property {string} id - Unique record ID
+   * @property {string} key - Word key (language + headword)
+   * @property {string} word - Headword that was defined
+   * @property {string} language - ISO 639 language code
+   * @property {string} url - Page URL
+   * @property {string} title - Page title
+   * @property {string} sentence - Sentence the word appeared in
+   * @property {number} timestamp - Lookup time (ms since epoch)
+   *
+   * @typedef {Object} VocabularyItem
+   * @property {string} key - Word key
+   * @property {string} word - Headword
+   * @property {string} language - ISO 639 language code
+   * @property {string} url - Page URL where it was saved
+   * @property {string} sentence - Sentence it was saved from
+   * @property {number} savedAt - Save time (ms since epoch)
+   * @property {Object} [review] - Spaced-repetition card (see srs.js)
+   *
+   * @typedef {Object} StoredEntry
+   * @property {Array<Object>} data - Normalized dictionary entries
+   * @property {string} source - Provider ID
+   * @property {string} sourceName - Provider name
+   * @property {number} storedAt - Time stored (ms since epoch)
+   */
+
+  // Writes in progress in the service worker; each starts after the last
+  let writeQueue = Promise.resolve();
+
+  /**
+   * Build the storage key for a word
+   * @param {string} word - Headword
+   * @param {string} language - ISO 639 language code
+   * @returns {string} Word key
+   */
+  function getWordKey(word, language) {
+    return `${language || 'en'}:${word.trim().toLowerCase()}`;
+  }
+
+  /**
+   * Generate a unique record ID
+   * @returns {string} Record ID
+   */
+  function createId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * Read all history-related keys from storage
+   * @returns {Promise<{history: HistoryRecord[], vocabulary: Object, entries: Object}>}
+   */
+  async function readAll() {
+    const stored = await chrome.storage.local.get([HISTORY_KEY, VOCABULARY_KEY, ENTRIES_KEY]);
+    return {
+      history: stored[HISTORY_KEY] || [],
+      vocabulary: stored[VOCABULARY_KEY] || {},
+      entries: stored[ENTRIES_KEY] || {},
+    };
+  }
+
+  /**
+   * Drop stored entries that no history record or saved word references
+   * @param {{history: HistoryRecord[], vocabulary: Object, entries: Object}} state - Storage state
+   * @returns {Object} Pruned entries map
+   */
+  function pruneEntries({ history, vocabulary, entries }) {
+    const referenced = new Set([
+      ...history.map(record => record.key),
+      ...Object.keys(vocabulary),
+    ]);
+    const pruned = {};
+    for (const key of Object.keys(entries)) {
+      if (referenced.has(key)) {
+        pruned[key] = entries[key];
+      }
+    }
+    return pruned;
+  }
+
+  /**
+   * Convert a lookup result into a stored entry
+   * @param {Object} result - Lookup result ({data, source, sourceName})
+   * @returns {StoredEntry} Stored entry
+   */
+  function toStoredEntry(result) {
+    return {
+      data: result.data,
+      source: result.source || '',
+      sourceName: result.sourceName || '',
+      storedAt: Date.now(),
+    };
+  }
+
+  /**
+   * Keep only the parts of a lookup result that are stored, so messages
+   * don't carry the rest
+   * @param {Object} result - Lookup result
+   * @returns {{data: Array<Object>, source: string, sourceName: string}} Stored fields
+   */
+  function toStoredResult(result) {
+    return { data: result.data, source: result.source || '', sourceName: result.sourceName || '' };
+  }
+
+  /**
+   * Record a successful lookup
+   * @param {Object} lookup - Lookup details
+   * @param {string} lookup.word - Headword that was defined
+   * @param {string} lookup.language - ISO 639 language code
+   * @param {string} lookup.url - Page URL
+   * @param {string} lookup.title - Page title
+   * @param {string} lookup.sentence - Sentence the word appeared in
+   * @param {Object} result - Lookup result ({data, source, sourceName})
+   * @param {number} maxEntries - History size limit
+   * @returns {Promise<HistoryRecord>} The new record
+   */
+  async function writeRecordLookup(lookup, result, maxEntries = 1000) {
+    const state = await readAll();
+    const record = {
+      id: createId(),
+      key: getWordKey(lookup.word, lookup.language),
+      word: lookup.word,
+      language: lookup.language,
+      url: lookup.url || '',
+      title: lookup.title || '',
+      sentence: lookup.sentence || '',
+      timestamp: Date.now(),
+    };
+
+    state.history = [record, ...state.history].slice(0, maxEntries);
+    state.entries[record.key] = toStoredEntry(result);
+
+    await chrome.storage.local.set({
+      [HISTORY_KEY]: state.history,
+      [ENTRIES_KEY]: pruneEntries(state),
+    });
+    return record;
+  }
+
+  /**
+   * Get lookup history, newest first
+   * @returns {Promise<HistoryRecord[]>} History records
+   */
+  async function getHistory() {
+    return (await readAll()).history;
+  }
+
+  /**
+   * Delete history records
+   * @param {string[]} ids - Record IDs to delete
+   * @returns {Promise<void>}
+   */
+  async function writeDeleteHistory(ids) {
+    const state = await readAll();
+    const remove = new Set(ids);
+    state.history = state.history.filter(record => !remove.has(record.id));
+    await chrome.storage.local.set({
+      [HISTORY_KEY]: state.history,
+      [ENTRIES_KEY]: pruneEntries(state),
+    });
+  }
+
+  /**
+   * Delete all history records (saved words are kept)
+   * @returns {Promise<void>}
+   */
+  async function writeClearHistory() {
+    const state = await readAll();
+    state.history = [];
+    await chrome.storage.local.set({
+      [HISTORY_KEY]: [],
+      [ENTRIES_KEY]: pruneEntries(state),
+    });
+  }
+
+  /**
+   * Get saved vocabulary, most recently saved first
+   * @returns {Promise<VocabularyItem[]>} Saved words
+   */
+  async function getVocabulary() {
+    const { vocabulary } = await readAll();
+    return Object.values(vocabulary).sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  /**
+   * Check whether a word is saved
+   * @param {string} word - Headword
+   * @param {string} language - ISO 639 language code
+   * @returns {Promise<boolean>} True if saved
+   */
+  async function isSaved(word, language) {
+    const stored = await chrome.storage.local.get(VOCABULARY_KEY);
+    return Boolean((stored[VOCABULARY_KEY] || {})[getWordKey(word, language)]);
+  }
+
+  /**
+   * Save a word to the vocabulary list
+   * @param {Object} lookup - Lookup details ({word, language, url, sentence})
+   * @param {Object} result - Lookup result ({data, source, sourceName})
+   * @returns {Promise<VocabularyItem>} The saved item
+   */
+  async function writeSaveWord(lookup, result) {
+    const state = await readAll();
+    const key = getWordKey(lookup.word, lookup.language);
+    const item = {
+      ...state.vocabulary[key],
+      key,
+      word: lookup.word,
+      language: lookup.language,
+      url: lookup.url || '',
+      sentence: lookup.sentence || '',
+      savedAt: Date.now(),
+    };
+
+    state.vocabulary[key] = item;
+    if (result && result.data) {
+      state.entries[key] = toStoredEntry(result);
+    }
+
+    await chrome.storage.local.set({
+      [VOCABULARY_KEY]: state.vocabulary,
+      [ENTRIES_KEY]: pruneEntries(state),
+    });
+    return item;
+  }
+
+  /**
+   * Remove words from the vocabulary list
+   * @param {string[]} keys - Word keys to remove
+   * @returns {Promise<void>}
+   */
+  async function writeUnsaveWords(keys) {
+    const state = await readAll();
+    for (const key of keys) {
+      delete state.vocabulary[key];
+    }
+    await chrome.storage.local.set({
+      [VOCABULARY_KEY]: state.vocabulary,
+      [ENTRIES_KEY]: pruneEntries(state),
+    });
+  }
+
+  /**
+   * Store the review schedule for a saved word
+   * @param {string} key - Word key
+   * @param {Object} review - Review card (see srs.js)
+   * @returns {Promise<void>}
+   */
+  async function writeUpdateReview(key, review) {
+    const stored = await chrome.storage.local.get(VOCABULARY_KEY);
+    const vocabulary = stored[VOCABULARY_KEY] || {};
+    if (!vocabulary[key]) {
+      return;
+    }
+    vocabulary[key] = { ...vocabulary[key], review };
+    await chrome.storage.local.set({ [VOCABULARY_KEY]: vocabulary });
+  }
+
+  /**
+   * Merge imported history, vocabulary and entries into storage.
+   * Existing saved words keep their review progress; imported history
+   * records are de-duplicated by ID.
+   * @param {Object} data - Import data ({history, vocabulary, entries})
+   * @param {number} maxEntries - History size limit
+   * @returns {Promise<{history: number, vocabulary: number}>} Number of new records and words
+   */
+  async function writeImportData(data, maxEntries = 1000) {
+    const state = await readAll();
+
+    const knownIds = new Set(state.history.map(record => record.id));
+    const newRecords = data.history.filter(record => !knownIds.has(record.id));
+    state.history = [...state.history, ...newRecords]
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, maxEntries);
+
+    let newWords = 0;
+    for (const item of data.vocabulary) {
+      const existing = state.vocabulary[item.key];
+      if (!existing) {
+        newWords++;
+      }
+      state.vocabulary[item.key] = existing
+        ? { ...item, ...existing, review: existing.review || item.review }
+        : item;
+    }
+
+    for (const [key, entry] of Object.entries(data.entries)) {
+      if (!state.entries[key]) {
+        state.entries[key] = entry;
+      }
+    }
+
+    await chrome.storage.local.set({
+      [HISTORY_KEY]: state.history,
+      [VOCABULARY_KEY]: state.vocabulary,
+      [ENTRIES_KEY]: pruneEntries(state),
+    });
+    return { history: newRecords.length, vocabulary: newWords };
+  }
+
+  // Write operations by name, as sent in history-write messages
+  const WRITE_OPERATIONS = {
+    recordLookup: writeRecordLookup,
+    deleteHistory: writeDeleteHistory,
+    clearHistory: writeClearHistory,
+    saveWord: writeSaveWord,
+    unsaveWords: writeUnsaveWords,
+    updateReview: writeUpdateReview,
+    importData: writeImportData,
+  };
+
+  /**
+   * Check whether this script runs in the service worker
+   * @returns {boolean} True in the service worker
+   */
+  function isServiceWorker() {
+    return typeof ServiceWorkerGlobalScope !== 'undefined' && globalThis instanceof ServiceWorkerGlobalScope;
+  }
+
+  /**
+   * Run a write after the writes queued before it
+   * @param {string} operation - Key of WRITE_OPERATIONS
+   * @param {Array} args - Operation arguments
+   * @returns {Promise<*>} Operation result
+   */
+  function queueWrite(operation, args) {
+    const run = writeQueue.then(() => WRITE_OPERATIONS[operation](...args));
+    // A failed write doesn't hold up the ones after it
+    writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Run a write in the service worker's queue
+   * @param {string} operation - Key of WRITE_OPERATIONS
+   * @param {Array} args - Operation arguments (JSON-serializable)
+   * @returns {Promise<*>} Operation result; rejects if the write failed
+   */
+  async function runWrite(operation, args) {
+    if (isServiceWorker()) {
+      return queueWrite(operation, args);
+    }
+
+    const { MESSAGE_TYPES } = globalThis.QuickDefineMessages;
+    const response = await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.HISTORY_WRITE, operation, args });
+    if (!response || response.error) {
+      throw new Error(response ? response.error : 'No response from the QuickDefine service worker');
+    }
+    return response.result;
+  }
+
+  /**
+   * Service worker: run a write sent by another context
+   * @param {Object} request - Validated HistoryWriteRequest
+   * @returns {Promise<{result?: *, error?: string}>} Result or error message
+   */
+  async function handleWriteRequest(request) {
+    if (!Object.prototype.hasOwnProperty.call(WRITE_OPERATIONS, request.operation)) {
+      return { error: `Unknown history write: ${request.operation}` };
+    }
+    try {
+      return { result: await queueWrite(request.operation, request.args) };
+    } catch (error) {
+      console.error(`QuickDefine: History write "${request.operation}" failed`, error);
+      return { error: error.message || String(error) };
+    }
+  }
+
+  /**
+   * Record a successful lookup (see writeRecordLookup)
+   * @param {Object} lookup - Lookup details ({word, language, url, title, sentence})
+   * @param {Object} result - Lookup result ({data, source, sourceName})
+   * @param {number} maxEntries - History size limit
+   * @returns {Promise<HistoryRecord>} The new record
+   */
+  function recordLookup(lookup, result, maxEntries = 1000) {
+    return runWrite('recordLookup', [lookup, toStoredResult(result), maxEntries]);
+  }
+
+  /**
+   * Delete history records
+   * @param {string[]} ids - Record IDs to delete
+   * @returns {Promise<void>}
+   */
+  function deleteHistory(ids) {
+    return runWrite('deleteHistory', [ids]);
+  }
+
+  /**
+   * Delete all history records (saved words are kept)
+   * @returns {Promise<void>}
+   */
+  function clearHistory() {
+    return runWrite('clearHistory', []);
+  }
+
+  /**
+   * Save a word to the vocabulary list (see writeSaveWord)
+   * @param {Object} lookup - Lookup details ({word, language, url, sentence})
+   * @param {Object} result - Lookup result ({data, source, sourceName})
+   * @returns {Promise<VocabularyItem>} The saved item
+   */
+  function saveWord(lookup, result) {
+    return runWrite('saveWord', [lookup, result ? toStoredResult(result) : null]);
+  }
+
+  /**
+   * Remove words from the vocabulary list
+   * @param {string[]} keys - Word keys to remove
+   * @returns {Promise<void>}
+   */
+  function unsaveWords(keys) {
+    return runWrite('unsaveWords', [keys]);
+  }
+
+  /**
+   * Store the review schedule for a saved word
+   * @param {string} key - Word key
+   * @param {Object} review - Review card (see srs.js)
+   * @returns {Promise<void>}
+   */
+  function updateReview(key, review) {
+    return runWrite('updateReview', [key, review]);
+  }
+
+  /**
+   * Merge imported history, vocabulary and entries into storage (see writeImportData)
+   * @param {Object} data - Import data ({history, vocabulary, entries})
+   * @param {number} maxEntries - History size limit
+   * @returns {Promise<{history: number, vocabulary: number}>} Number of new records and words
+   */
+  function importData(data, maxEntries = 1000) {
+    return runWrite('importData', [data, maxEntries]);
+  }
+
+  /**
+   * Get the stored definition for a word key
+   * @param {string} key - Word key
+   * @returns {Promise<StoredEntry|null>} Stored entry
+   */
+  async function getEntry(key) {
+    const stored = await chrome.storage.local.get(ENTRIES_KEY);
+    return (stored[ENTRIES_KEY] || {})[key] || null;
+  }
+
+  /**
+   * Get all stored definitions keyed by word key
+   * @returns {Promise<Object>} Map of word key to StoredEntry
+   */
+  async function getEntries() {
+    return (await readAll()).entries;
+  }
+
+  /**
+   * Subscribe to history or vocabulary changes
+   * @param {Function} callback - Called with no arguments on change
+   * @returns {Function} Unsubscribe function
+   */
+  function onHistoryChanged(callback) {
+    const listener = (changes, areaName) => {
+      if (areaName === 'local' && (changes[HISTORY_KEY] || changes[VOCABULARY_KEY])) {
+        callback();
+      }
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  }
+
+  // Export history API to global scope (shared by content scripts, extension pages and the service worker)
+  globalThis.QuickDefineHistory = {
+    getWordKey,
+    recordLookup,
+    getHistory,
+    deleteHistory,
+    clearHistory,
+    getVocabulary,
+    isSaved,
+    saveWord,
+    unsaveWords,
+    updateReview,
+    importData,
+    getEntry,
+    getEntries,
+    onHistoryChanged,
+    handleWriteRequest,
+  };
+})();
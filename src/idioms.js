@@ -0,0 +1,142 @@
+/**
+ * QuickDefine - Idioms
+ * Matches phrases against a bundled idiom list, allowing for inflected verbs
+ * ("kicked the bucket") and pronouns in place of "one's" ("pull my leg")
+ */
+
+(function() {
+  'use strict';
+
+  // Placeholders used in the list and the words they stand for
+  const PLACEHOLDERS = {
+    "one's": new Set(["one's", 'my', 'your', 'his', 'her', 'its', 'our', 'their', "someone's"]),
+    "someone's": new Set(["someone's", 'my', 'your', 'his', 'her', 'its', 'our', 'their']),
+    one: new Set(['one', 'i', 'you', 'he', 'she', 'it', 'we', 'they']),
+    someone: new Set(['someone', 'me', 'you', 'him', 'her', 'it', 'us', 'them']),
+    oneself: new Set(['oneself', 'myself', 'yourself', 'himself', 'herself', 'itself', 'ourselves', 'yourselves', 'themselves']),
+  };
+
+  /**
+   * Split a phrase into lowercase words, keeping apostrophes and hyphens
+   * inside words
+   * @param {string} phrase - Phrase to split
+   * @returns {string[]} Words
+   */
+  function getPhraseWords(phrase) {
+    return (phrase || '')
+      .toLowerCase()
+      .replace(/’/g, "'")
+      .match(/[\p{L}\p{N}]+(?:['-][\p{L}\p{N}]+)*/gu) || [];
+  }
+
+  /**
+   * Idiom matcher over a lazily loaded list
+   * The list has one idiom per line as phrase, definition and optional
+   * example separated by tabs; lines starting with "#" are comments.
+   */
+  class IdiomList {
+    /**
+     * @param {Function} loadList - Returns a Promise of the idiom list text
+     * @param {Object} options - Matching options
+     * @param {Object} options.lemmatizer - Lemmatizer ({getLemmaCandidates}) for inflected words
+     * @param {string[]} options.languages - Languages the list covers
+     */
+    constructor(loadList, { lemmatizer = null, languages = ['en'] } = {}) {
+      this.loadList = loadList;
+      this.lemmatizer = lemmatizer;
+      this.languages = languages;
+      this.indexPromise = null;
+    }
+
+    /**
+     * Check whether the list covers a language
+     * @param {string} language - ISO 639-1 language code
+     * @returns {boolean} True if supported
+     */
+    supports(language) {
+      return this.languages.includes(language);
+    }
+
+    /**
+     * Load and index the idiom list (once)
+     * @returns {Promise<Map<number, Array<Object>>>} Idioms ({phrase, words,
+     *   definition, example}) by word count
+     */
+    load() {
+      if (!this.indexPromise) {
+        this.indexPromise = Promise.resolve(this.loadList()).then((text) => {
+          const byLength = new Map();
+          for (const line of text.split('\n')) {
+            if (!line.trim() || line.startsWith('#')) {
+              continue;
+            }
+            const [phrase, definition, example = ''] = line.split('\t').map(field => field.trim());
+            const words = getPhraseWords(phrase);
+            if (words.length < 2 || !definition) {
+              continue;
+            }
+            if (!byLength.has(words.length)) {
+              byLength.set(words.length, []);
+            }
+            byLength.get(words.length).push({ phrase, words, definition, example });
+          }
+          return byLength;
+        }).catch((error) => {
+          // Allow a later retry
+          this.indexPromise = null;
+          throw error;
+        });
+      }
+      return this.indexPromise;
+    }
+
+    /**
+     * Check whether a word of the looked-up phrase matches a word of an idiom
+     * @param {string} word - Word of the phrase
+     * @param {string} idiomWord - Word of the idiom
+     * @returns {boolean} True if they match
+     */
+    matchesWord(word, idiomWord) {
+      if (word === idiomWord) {
+        return true;
+      }
+      if (PLACEHOLDERS[idiomWord]) {
+        return PLACEHOLDERS[idiomWord].has(word);
+      }
+      return Boolean(this.lemmatizer) && this.lemmatizer.getLemmaCandidates(word).includes(idiomWord);
+    }
+
+    /**
+     * Find an idiom matching a phrase
+     * @param {string} phrase - Looked-up phrase
+     * @returns {Promise<Object|null>} Dictionary entry with an "idiom" meaning, or null
+     */
+    async lookup(phrase) {
+      const words = getPhraseWords(phrase);
+      const idioms = (await this.load()).get(words.length) || [];
+      const idiom = idioms.find(candidate => candidate.words.every((idiomWord, index) => this.matchesWord(words[index], idiomWord)));
+      if (!idiom) {
+        return null;
+      }
+
+      return {
+        word: idiom.phrase,
+        phonetic: '',
+        phonetics: [],
+        meanings: [{
+          partOfSpeech: 'idiom',
+          definitions: [{ definition: idiom.definition, example: idiom.example, synonyms: [], antonyms: [] }],
+          synonyms: [],
+          antonyms: [],
+        }],
+        sourceUrls: [],
+      };
+    }
+  }
+
+  // Export idioms to global scope (used by the service worker)
+  globalThis.QuickDefineIdioms = {
+    IdiomList,
+    getPhraseWords,
+  };
+})();
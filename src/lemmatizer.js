@@ -0,0 +1,225 @@
+/**
+ * QuickDefine - Lemmatizer
+ * Rule-based English inflection stripping plus an irregular-forms table,
+ * used to find the headword when an inflected form is not in the dictionary
+ */
+
+(function() {
+  'use strict';
+
+  // Irregular inflected forms mapped to their lemma
+  const IRREGULAR_FORMS = {
+    // Verbs
+    am: 'be', is: 'be', are: 'be', was: 'be', were: 'be', been: 'be', being: 'be',
+    has: 'have', had: 'have', having: 'have',
+    does: 'do', did: 'do', done: 'do',
+    went: 'go', gone: 'go', goes: 'go',
+    ran: 'run', ate: 'eat', eaten: 'eat',
+    saw: 'see', seen: 'see', took: 'take', taken: 'take',
+    gave: 'give', given: 'give', came: 'come', became: 'become',
+    wrote: 'write', written: 'write', spoke: 'speak', spoken: 'speak',
+    began: 'begin', begun: 'begin', broke: 'break', broken: 'break',
+    brought: 'bring', bought: 'buy', caught: 'catch', taught: 'teach',
+    thought: 'think', fought: 'fight', sought: 'seek',
+    found: 'find', made: 'make', said: 'say', told: 'tell', sold: 'sell',
+    felt: 'feel', kept: 'keep', left: 'leave', meant: 'mean', met: 'meet',
+    paid: 'pay', sent: 'send', slept: 'sleep', spent: 'spend', built: 'build',
+    stood: 'stand', understood: 'understand', won: 'win', sat: 'sit',
+    led: 'lead', held: 'hold', heard: 'hear', lost: 'lose', laid: 'lay',
+    fell: 'fall', fallen: 'fall', drove: 'drive', driven: 'drive',
+    flew: 'fly', flown: 'fly', forgot: 'forget', forgotten: 'forget',
+    grew: 'grow', grown: 'grow', knew: 'know', known: 'know',
+    threw: 'throw', thrown: 'throw', drew: 'draw', drawn: 'draw',
+    chose: 'choose', chosen: 'choose', woke: 'wake', woken: 'wake',
+    stole: 'steal', stolen: 'steal', rose: 'rise', risen: 'rise',
+    froze: 'freeze', frozen: 'freeze', hid: 'hide', hidden: 'hide',
+    bit: 'bite', bitten: 'bite', rode: 'ride', ridden: 'ride',
+    swam: 'swim', swum: 'swim', sang: 'sing', sung: 'sing',
+    drank: 'drink', drunk: 'drink', rang: 'ring', rung: 'ring',
+    sank: 'sink', sunk: 'sink', shook: 'shake', shaken: 'shake',
+    wore: 'wear', worn: 'wear', tore: 'tear', torn: 'tear',
+    swore: 'swear', sworn: 'swear', bore: 'bear', borne: 'bear',
+    forgave: 'forgive', forgiven: 'forgive', struck: 'strike',
+    dug: 'dig', hung: 'hang', stuck: 'stick', swung: 'swing',
+    fed: 'feed', fled: 'flee', bled: 'bleed', bred: 'breed',
+    lent: 'lend', bent: 'bend', dealt: 'deal', dreamt: 'dream',
+    knelt: 'kneel', leapt: 'leap', crept: 'creep', wept: 'weep',
+    shot: 'shoot', slid: 'slide', spun: 'spin', strove: 'strive',
+    // Nouns
+    men: 'man', women: 'woman', children: 'child', people: 'person',
+    geese: 'goose', mice: 'mouse', lice: 'louse', teeth: 'tooth',
+    feet: 'foot', oxen: 'ox', dice: 'die',
+    analyses: 'analysis', crises: 'crisis', theses: 'thesis', hypotheses: 'hypothesis',
+    diagnoses: 'diagnosis', parentheses: 'parenthesis', syntheses: 'synthesis',
+    phenomena: 'phenomenon', criteria: 'criterion',
+    cacti: 'cactus', fungi: 'fungus', nuclei: 'nucleus', radii: 'radius',
+    stimuli: 'stimulus', syllabi: 'syllabus', alumni: 'alumnus',
+    indices: 'index', appendices: 'appendix', matrices: 'matrix', vertices: 'vertex',
+    curricula: 'curriculum', memoranda: 'memorandum', strata: 'stratum',
+    bacteria: 'bacterium', media: 'medium', larvae: 'larva', formulae: 'formula',
+    // Adjectives & adverbs
+    better: 'good', best: 'good', worse: 'bad', worst: 'bad',
+    more: 'much', most: 'much', less: 'little', least: 'little',
+    further: 'far', furthest: 'far', farther: 'far', farthest: 'far',
+    elder: 'old', eldest: 'old',
+  };
+
+  // Suffix rule families. Within a family only the first matching suffix
+  // applies; each rule lists replacements to try in order. A null
+  // replacement means the stem may have lost an "e" or doubled a consonant.
+  const SUFFIX_RULES = [
+    // Plurals & third person
+    [
+      ['yses', ['ysis']],
+      ['ies', ['y']],
+      ['ives', ['ife', 'ive']],
+      ['lves', ['lf', 'lve']],
+      ['ves', ['ve', 'f']],
+      ['ches', ['ch']],
+      ['shes', ['sh']],
+      ['sses', ['ss']],
+      ['ses', ['s', 'se']],
+      ['xes', ['x']],
+      ['zes', ['z']],
+      ['oes', ['o', 'oe']],
+      ['men', ['man']],
+      ['s', ['']],
+    ],
+    // Past tense & participles
+    [
+      ['ied', ['y']],
+      ['ed', [null]],
+    ],
+    // Present participles
+    [
+      ['ying', ['ie']],
+      ['ing', [null]],
+    ],
+    // Comparatives & superlatives
+    [
+      ['iest', ['y']],
+      ['ier', ['y']],
+      ['est', [null]],
+      ['er', [null]],
+    ],
+    // Adverbs
+    [
+      ['ily', ['y']],
+      ['ically', ['ic', 'ical']],
+      ['ally', ['al']],
+      ['ably', ['able']],
+      ['ibly', ['ible']],
+      ['ly', ['']],
+    ],
+  ];
+
+  // Languages the rules above apply to
+  const SUPPORTED_LANGUAGES = ['en'];
+
+  /**
+   * Check whether lemmatization is available for a language
+   * @param {string} language - ISO 639 language code
+   * @returns {boolean} True if supported
+   */
+  function supports(language) {
+    return SUPPORTED_LANGUAGES.includes(language);
+  }
+
+  /**
+   * Get likely base forms of a stem left by -ed/-ing/-er/-est removal
+   * (stopped → stop, making → make, walked → walk)
+   * @param {string} stem - Stem after suffix removal
+   * @returns {string[]} Base forms, most likely first
+   */
+  function getInflectionStems(stem) {
+    // The base ended in "e": "-eed" words (agreed → agree, freer → free)
+    // and short "-ie" verbs (tied → tie, died → die)
+    if (/[^e]e$|^[^aeiou]i$/.test(stem)) {
+      return [`${stem}e`, stem];
+    }
+    // Doubled final consonant, except letters that are often doubled in the base (call, pass)
+    if (/([bcdgkmnprtvz])\1$/.test(stem)) {
+      return [stem.slice(0, -1), stem];
+    }
+    // Consonant-vowel-consonant endings, and short stems that are just a
+    // vowel and a consonant (used → use, aged → age), usually dropped a silent "e"
+    if (/(?:^|[^aeiou])[aeiouy][^aeiouwxy]$/.test(stem)) {
+      return [`${stem}e`, stem];
+    }
+    return [stem, `${stem}e`];
+  }
+
+  /**
+   * Check whether a suffix rule applies to a word
+   * @param {string} word - Lowercased single word
+   * @param {string} suffix - Suffix of the rule
+   * @returns {boolean} True if the word ends with the suffix and keeps a stem
+   */
+  function matchesSuffix(word, suffix) {
+    if (!word.endsWith(suffix)) {
+      return false;
+    }
+    const stemLength = word.length - suffix.length;
+    // Only "dying", "lying", "tying" and "vying" turned "ie" into "y";
+    // longer stems (flying, playing) just add "-ing"
+    if (suffix === 'ying') {
+      return stemLength === 1;
+    }
+    return stemLength >= 2;
+  }
+
+  /**
+   * Get candidate lemmas for an inflected word, most likely first
+   * @param {string} word - Lowercased single word
+   * @returns {string[]} Candidate lemmas (never includes the word itself)
+   */
+  function getLemmaCandidates(word) {
+    const candidates = [];
+    const add = (candidate) => {
+      if (candidate && candidate !== word && candidate.length > 1 && !candidates.includes(candidate)) {
+        candidates.push(candidate);
+      }
+    };
+
+    if (!/^[a-z]+(?:['’-][a-z]+)*$/.test(word)) {
+      return candidates;
+    }
+
+    if (IRREGULAR_FORMS[word]) {
+      add(IRREGULAR_FORMS[word]);
+    }
+
+    // Possessives
+    if (/['’]s$/.test(word)) {
+      add(word.slice(0, -2));
+    }
+
+    for (const family of SUFFIX_RULES) {
+      const rule = family.find(([suffix]) => matchesSuffix(word, suffix));
+      if (!rule) {
+        continue;
+      }
+      const [suffix, replacements] = rule;
+      if (suffix === 's' && /(ss|us|is|['’]s)$/.test(word)) {
+        continue;
+      }
+      const stem = word.slice(0, -suffix.length);
+      for (const replacement of replacements) {
+        if (replacement === null) {
+          getInflectionStems(stem).forEach(add);
+        } else {
+          add(stem + replacement);
+        }
+      }
+    }
+
+    return candidates;
+  }
+
+  // Export lemmatizer to global scope
+  globalThis.QuickDefineLemmatizer = {
+    IRREGULAR_FORMS,
+    supports,
+    getLemmaCandidates,
+  };
+})();
@@ -0,0 +1,272 @@
+/**
+ * QuickDefine - Message Protocol
+ * Typed chrome.runtime messages between content scripts and the background
+ * service worker, which performs all dictionary lookups with one shared cache
+ */
+
+(function() {
+  'use strict';
+
+  const MESSAGE_TYPES = {
+    LOOKUP: 'lookup',
+    CANCEL_LOOKUP: 'cancel-lookup',
+    SUGGEST: 'suggest',
+    HISTORY_WRITE: 'history-write',
+    DEFINE_SELECTION: 'define-selection',
+    SITE_STATE: 'site-state',
+    SHOW_DEFINITION: 'show-definition',
+    CLOSE_POPUP: 'close-popup',
+  };
+
+  // Longest word or phrase accepted for lookup
+  const MAX_WORD_LENGTH = 200;
+
+  // Most spelling suggestions a content script may ask for
+  const MAX_SUGGESTIONS = 20;
+
+  // Lookup request IDs, unique within a frame
+  let nextRequestId = 0;
+
+  /**
+   * Content script → background: define a word
+   * @typedef {Object} LookupRequest
+   * @property {'lookup'} type - MESSAGE_TYPES.LOOKUP
+   * @property {string} word - Word or phrase to define
+   * @property {string} language - ISO 639 language code
+   * @property {boolean} lemmatize - Retry inflected forms as their lemma on not_found
+   * @property {string} requestId - Identifies the request for cancellation
+   *
+   * Content script → background: cancel a lookup that is no longer needed
+   * @typedef {Object} CancelLookupRequest
+   * @property {'cancel-lookup'} type - MESSAGE_TYPES.CANCEL_LOOKUP
+   * @property {string} requestId - ID of the LookupRequest to cancel
+   *
+   * Content script → background: "Did you mean" spellings for a word that
+   * was not found. The background responds with {suggestions: string[]}.
+   * @typedef {Object} SuggestRequest
+   * @property {'suggest'} type - MESSAGE_TYPES.SUGGEST
+   * @property {string} word - Word that was not found
+   * @property {number} limit - Maximum number of suggestions
+   *
+   * Content script or extension page → background: change lookup history
+   * or saved words. Writes run one at a time in the service worker so
+   * concurrent tabs don't overwrite each other; the background responds with
+   * {result} or {error}.
+   * @typedef {Object} HistoryWriteRequest
+   * @property {'history-write'} type - MESSAGE_TYPES.HISTORY_WRITE
+   * @property {string} operation - Write to run, e.g. 'recordLookup' or 'saveWord'
+   * @property {Array} args - Arguments of the write
+   *
+   * Background → content script: the DictionaryManager result
+   * @typedef {Object} LookupResponse
+   * @property {Array<Object>} [data] - Dictionary entries
+   * @property {string} [source] - ID of the provider that answered
+   * @property {string} [sourceName] - Display name of that provider
+   * @property {string} [language] - Language of the result
+   * @property {string} [cached] - 'memory' | 'indexeddb' when served from cache
+   * @property {{from: string, to: string}} [lemma] - Set when the headword differs
+   * @property {boolean} [offline] - True when answered by the bundled offline dictionary
+   * @property {string} [error] - 'not_found' | 'timeout' | 'network' | 'unsupported_language' | 'aborted'
+   * @property {string} [message] - Error detail
+   *
+   * Background → content script: define the selection (shortcut, context menu)
+   * @typedef {Object} DefineSelectionMessage
+   * @property {'define-selection'} type - MESSAGE_TYPES.DEFINE_SELECTION
+   * @property {string} [text] - Selected text reported by the browser
+   * @property {boolean} [focusedOnly] - Only the focused frame should answer
+   *
+   * Content script (top frame) → background: whether the page is enabled
+   * @typedef {Object} SiteStateMessage
+   * @property {'site-state'} type - MESSAGE_TYPES.SITE_STATE
+   * @property {boolean} enabled - Whether lookups are active on the page
+   *
+   * Frame → background → top frame: show a lookup made in a frame
+   * @typedef {Object} ShowDefinitionMessage
+   * @property {'show-definition'} type - MESSAGE_TYPES.SHOW_DEFINITION
+   * @property {string} word - Word or phrase to define
+   * @property {Object} context - Lookup context; `selectionRect` ({top, bottom,
+   *   left, right, width, height}) is in top window viewport coordinates
+   * @property {boolean} [focus] - Move focus into the popup (not for hover lookups)
+   * The top frame responds with {shown: boolean}.
+   *
+   * Frame → background → top frame: close the popup shown for a frame
+   * @typedef {Object} ClosePopupMessage
+   * @property {'close-popup'} type - MESSAGE_TYPES.CLOSE_POPUP
+   */
+
+  /**
+   * Build a lookup request
+   * @param {string} word - Word or phrase to define
+   * @param {Object} options - Lookup options
+   * @param {string} options.language - ISO 639 language code
+   * @param {boolean} options.lemmatize - Retry inflected forms as their lemma
+   * @returns {LookupRequest} Request message
+   */
+  function createLookupRequest(word, { language, lemmatize = true }) {
+    const requestId = `${Date.now().toString(36)}-${(nextRequestId++).toString(36)}`;
+    return { type: MESSAGE_TYPES.LOOKUP, word, language, lemmatize, requestId };
+  }
+
+  /**
+   * Check that a request ID is well-formed
+   * @param {*} requestId - Received request ID
+   * @returns {boolean} True if valid
+   */
+  function isRequestId(requestId) {
+    return typeof requestId === 'string' && requestId.length > 0 && requestId.length <= 64;
+  }
+
+  /**
+   * Check that a message is a well-formed lookup request
+   * @param {*} message - Received message
+   * @returns {boolean} True if valid
+   */
+  function isLookupRequest(message) {
+    return Boolean(message) &&
+      message.type === MESSAGE_TYPES.LOOKUP &&
+      typeof message.word === 'string' &&
+      message.word.trim().length > 0 &&
+      message.word.length <= MAX_WORD_LENGTH &&
+      typeof message.language === 'string' &&
+      /^[a-z]{2,3}$/.test(message.language) &&
+      typeof message.lemmatize === 'boolean' &&
+      isRequestId(message.requestId);
+  }
+
+  /**
+   * Check that a message is a well-formed lookup cancellation
+   * @param {*} message - Received message
+   * @returns {boolean} True if valid
+   */
+  function isCancelLookupRequest(message) {
+    return Boolean(message) &&
+      message.type === MESSAGE_TYPES.CANCEL_LOOKUP &&
+      isRequestId(message.requestId);
+  }
+
+  /**
+   * Check that a message is a well-formed suggestion request
+   * @param {*} message - Received message
+   * @returns {boolean} True if valid
+   */
+  function isSuggestRequest(message) {
+    return Boolean(message) &&
+      message.type === MESSAGE_TYPES.SUGGEST &&
+      typeof message.word === 'string' &&
+      message.word.trim().length > 0 &&
+      message.word.length <= MAX_WORD_LENGTH &&
+      Number.isInteger(message.limit) &&
+      message.limit > 0 &&
+      message.limit <= MAX_SUGGESTIONS;
+  }
+
+  /**
+   * Check that a message is a well-formed history write request
+   * @param {*} message - Received message
+   * @returns {boolean} True if valid
+   */
+  function isHistoryWriteRequest(message) {
+    return Boolean(message) &&
+      message.type === MESSAGE_TYPES.HISTORY_WRITE &&
+      typeof message.operation === 'string' &&
+      Array.isArray(message.args);
+  }
+
+  /**
+   * Check that a message is a well-formed request to show a frame's lookup
+   * @param {*} message - Received message
+   * @returns {boolean} True if valid
+   */
+  function isShowDefinitionMessage(message) {
+    const context = message && message.context;
+    const rect = context && context.selectionRect;
+    return Boolean(message) &&
+      message.type === MESSAGE_TYPES.SHOW_DEFINITION &&
+      typeof message.word === 'string' &&
+      message.word.trim().length > 0 &&
+      message.word.length <= MAX_WORD_LENGTH &&
+      Boolean(context) &&
+      typeof context.language === 'string' &&
+      typeof context.sentence === 'string' &&
+      typeof context.url === 'string' &&
+      typeof context.title === 'string' &&
+      Boolean(rect) &&
+      ['top', 'bottom', 'left', 'right', 'width', 'height'].every(key => Number.isFinite(rect[key]));
+  }
+
+  /**
+   * Ask the background service worker to define a word
+   * @param {string} word - Word or phrase to define
+   * @param {Object} options - Lookup options (see createLookupRequest)
+   * @param {AbortSignal} [options.signal] - Cancels the lookup in the
+   *   service worker; the result is then {error: 'aborted'}
+   * @returns {Promise<LookupResponse>} Result; never rejects
+   */
+  async function requestLookup(word, { signal = null, ...options }) {
+    if (signal && signal.aborted) {
+      return { error: 'aborted' };
+    }
+
+    const request = createLookupRequest(word, options);
+    let onAbort = null;
+    const aborted = new Promise((resolve) => {
+      onAbort = () => {
+        chrome.runtime.sendMessage({ type: MESSAGE_TYPES.CANCEL_LOOKUP, requestId: request.requestId }).catch(() => {
+          // The service worker has gone away; nothing to cancel
+        });
+        resolve({ error: 'aborted' });
+      };
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+
+    const response = chrome.runtime.sendMessage(request).then((result) => {
+      if (!result || (!result.data && !result.error)) {
+        return { error: 'network', message: 'No response from the QuickDefine service worker' };
+      }
+      return result;
+    }, (error) => {
+      // e.g. the extension was reloaded and this content script is orphaned
+      return { error: 'network', message: error.message || 'Could not reach the QuickDefine service worker' };
+    });
+
+    try {
+      return await Promise.race([response, aborted]);
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    }
+  }
+
+  /**
+   * Ask the background service worker for spelling suggestions, which it
+   * finds in the bundled word list so pages never load it
+   * @param {string} word - Word that was not found
+   * @param {number} limit - Maximum number of suggestions
+   * @returns {Promise<string[]>} Suggestions, best first; never rejects
+   */
+  async function requestSuggestions(word, limit) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.SUGGEST, word, limit });
+      return response && Array.isArray(response.suggestions) ? response.suggestions : [];
+    } catch (error) {
+      console.warn('QuickDefine: Could not reach the QuickDefine service worker', error);
+      return [];
+    }
+  }
+
+  // Export protocol to global scope (shared by content scripts and the service worker)
+  globalThis.QuickDefineMessages = {
+    MESSAGE_TYPES,
+    createLookupRequest,
+    isLookupRequest,
+    isCancelLookupRequest,
+    isSuggestRequest,
+    isHistoryWriteRequest,
+    isShowDefinitionMessage,
+    requestLookup,
+    requestSuggestions,
+  };
+})();
@@ -0,0 +1,103 @@
+/**
+ * QuickDefine - Offline Dictionary
+ * Bundled English definitions (a WordNet subset) used when the dictionary
+ * providers cannot be reached
+ */
+
+(function() {
+  'use strict';
+
+  /**
+   * Dictionary over a lazily loaded word list
+   * The list has one line per word and part of speech, as the word, the part
+   * of speech and its definitions separated by tabs; lines starting with "#"
+   * are comments.
+   */
+  class OfflineDictionary {
+    /**
+     * @param {Function} loadList - Returns a Promise of the dictionary text
+     * @param {Object} options - Lookup options
+     * @param {Object} options.lemmatizer - Lemmatizer ({getLemmaCandidates}) for inflected words
+     * @param {string[]} options.languages - Languages the dictionary covers
+     */
+    constructor(loadList, { lemmatizer = null, languages = ['en'] } = {}) {
+      this.loadList = loadList;
+      this.lemmatizer = lemmatizer;
+      this.languages = languages;
+      this.indexPromise = null;
+    }
+
+    /**
+     * Check whether the dictionary covers a language
+     * @param {string} language - ISO 639-1 language code
+     * @returns {boolean} True if supported
+     */
+    supports(language) {
+      return this.languages.includes(language);
+    }
+
+    /**
+     * Load and index the dictionary (once)
+     * @returns {Promise<Map<string, Array<{partOfSpeech: string, definitions: string[]}>>>}
+     *   Meanings by lowercase word
+     */
+    load() {
+      if (!this.indexPromise) {
+        this.indexPromise = Promise.resolve(this.loadList()).then((text) => {
+          const index = new Map();
+          for (const line of text.split('\n')) {
+            if (!line.trim() || line.startsWith('#')) {
+              continue;
+            }
+            const [word, partOfSpeech, ...definitions] = line.split('\t').map(field => field.trim());
+            if (!word || definitions.length === 0) {
+              continue;
+            }
+            if (!index.has(word)) {
+              index.set(word, []);
+            }
+            index.get(word).push({ partOfSpeech, definitions });
+          }
+          return index;
+        }).catch((error) => {
+          // Allow a later retry
+          this.indexPromise = null;
+          throw error;
+        });
+      }
+      return this.indexPromise;
+    }
+
+    /**
+     * Look up a word, or failing that its candidate lemmas
+     * @param {string} word - Lowercased word
+     * @returns {Promise<Object|null>} Dictionary entry, or null if not found
+     */
+    async lookup(word) {
+      const index = await this.load();
+      const candidates = [word, ...(this.lemmatizer ? this.lemmatizer.getLemmaCandidates(word) : [])];
+      const headword = candidates.find(candidate => index.has(candidate));
+      if (!headword) {
+        return null;
+      }
+
+      return {
+        word: headword,
+        phonetic: '',
+        phonetics: [],
+        meanings: index.get(headword).map(({ partOfSpeech, definitions }) => ({
+          partOfSpeech,
+          definitions: definitions.map(definition => ({ definition, example: '', synonyms: [], antonyms: [] })),
+          synonyms: [],
+          antonyms: [],
+        })),
+        sourceUrls: [],
+      };
+    }
+  }
+
+  // Export offline dictionary to global scope (used by the service worker)
+  globalThis.QuickDefineOffline = {
+    OfflineDictionary,
+  };
+})();
@@ -0,0 +1,368 @@
+/**
+ * QuickDefine - History Page
+ * Browse, search, sort and delete lookup history and saved vocabulary
+ */
+
+(function() {
+  'use strict';
+
+  const {
+    getHistory,
+    deleteHistory,
+    clearHistory,
+    getVocabulary,
+    saveWord,
+    unsaveWords,
+    importData,
+    getEntries,
+    onHistoryChanged,
+  } = window.QuickDefineHistory;
+  const {
+    EXPORT_FORMATS,
+    toAnkiTSV,
+    toCSV,
+    toMarkdown,
+    toJSON,
+    parseJSONImport,
+  } = window.QuickDefineExport;
+
+  const historyTab = document.getElementById('tab-history');
+  const savedTab = document.getElementById('tab-saved');
+  const searchInput = document.getElementById('search');
+  const sortSelect = document.getElementById('sort');
+  const clearButton = document.getElementById('clear-button');
+  const exportFormatSelect = document.getElementById('export-format');
+  const exportButton = document.getElementById('export-button');
+  const importButton = document.getElementById('import-button');
+  const importFile = document.getElementById('import-file');
+  const importStatus = document.getElementById('import-status');
+  const summary = document.getElementById('summary');
+  const list = document.getElementById('word-list');
+
+  // View state
+  let view = 'history';
+  let history = [];
+  let vocabulary = [];
+  let entries = {};
+
+  /**
+   * Gets the first definition of a stored entry as a summary line
+   * @param {string} key - Word key
+   * @returns {string} - First definition or ''
+   */
+  function getSummaryDefinition(key) {
+    const stored = entries[key];
+    const meaning = stored?.data?.[0]?.meanings?.[0];
+    const definition = meaning?.definitions?.[0]?.definition || '';
+    return meaning?.partOfSpeech ? `(${meaning.partOfSpeech}) ${definition}` : definition;
+  }
+
+  /**
+   * Filters and sorts items for display
+   * @param {Array<Object>} items - History records or vocabulary items
+   * @param {string} timeField - Timestamp field name
+   * @returns {Array<Object>} - Visible items
+   */
+  function filterAndSort(items, timeField) {
+    const query = searchInput.value.trim().toLowerCase();
+    const visible = query
+      ? items.filter(item => [item.word, item.sentence, item.title, item.url]
+        .some(value => (value || '').toLowerCase().includes(query)))
+      : [...items];
+
+    const counts = new Map();
+    for (const record of history) {
+      counts.set(record.key, (counts.get(record.key) || 0) + 1);
+    }
+
+    const comparators = {
+      newest: (a, b) => b[timeField] - a[timeField],
+      oldest: (a, b) => a[timeField] - b[timeField],
+      alphabetical: (a, b) => a.word.localeCompare(b.word),
+      frequency: (a, b) => (counts.get(b.key) || 0) - (counts.get(a.key) || 0) || b[timeField] - a[timeField],
+    };
+    return visible.sort(comparators[sortSelect.value] || comparators.newest);
+  }
+
+  /**
+   * Creates a small icon button
+   * @param {string} label - Accessible label
+   * @param {string} icon - Button text
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement} - Button
+   */
+  function createIconButton(label, icon, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'icon-button';
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    button.textContent = icon;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Creates a list row for a history record or vocabulary item
+   * @param {Object} item - Record or item
+   * @param {number} time - Timestamp to show
+   * @param {Array<HTMLElement>} actions - Action buttons
+   * @returns {HTMLLIElement} - Row element
+   */
+  function createRow(item, time, actions) {
+    const row = document.createElement('li');
+    row.className = 'word-item';
+
+    const body = document.createElement('div');
+    body.className = 'word-body';
+
+    const title = document.createElement('div');
+    title.className = 'word-title';
+    title.textContent = item.word;
+    if (item.language) {
+      const badge = document.createElement('span');
+      badge.className = 'word-badge';
+      badge.textContent = item.language.toUpperCase();
+      title.appendChild(badge);
+    }
+    body.appendChild(title);
+
+    const definition = getSummaryDefinition(item.key);
+    if (definition) {
+      const definitionElement = document.createElement('div');
+      definitionElement.className = 'word-definition';
+      definitionElement.textContent = definition;
+      body.appendChild(definitionElement);
+    }
+
+    if (item.sentence) {
+      const sentence = document.createElement('div');
+      sentence.className = 'word-sentence';
+      sentence.textContent = `“${item.sentence}”`;
+      body.appendChild(sentence);
+    }
+
+    const meta = document.createElement('div');
+    meta.className = 'word-meta';
+    meta.textContent = new Date(time).toLocaleString();
+    if (item.url) {
+      const link = document.createElement('a');
+      link.href = item.url;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.textContent = item.title || item.url;
+      meta.append(' · ', link);
+    }
+    body.appendChild(meta);
+
+    const actionContainer = document.createElement('div');
+    actionContainer.className = 'word-actions';
+    actionContainer.append(...actions);
+
+    row.append(body, actionContainer);
+    return row;
+  }
+
+  /**
+   * Creates a rejection handler that logs a failed storage read or write and
+   * tells the user
+   * @param {string} action - What failed, e.g. 'delete the lookup'
+   * @returns {Function} - Rejection handler
+   */
+  function reportFailure(action) {
+    return (error) => {
+      console.error(`QuickDefine: Failed to ${action}`, error);
+      importStatus.textContent = `Could not ${action}: ${error.message}`;
+    };
+  }
+
+  /**
+   * Renders the active view
+   */
+  function render() {
+    const savedKeys = new Set(vocabulary.map(item => item.key));
+    list.textContent = '';
+
+    let rows;
+    if (view === 'history') {
+      rows = filterAndSort(history, 'timestamp').map(record => {
+        const saved = savedKeys.has(record.key);
+        const star = createIconButton(saved ? 'Remove from vocabulary' : 'Save to vocabulary', saved ? '★' : '☆', () => {
+          if (saved) {
+            unsaveWords([record.key]).catch(reportFailure('remove the word'));
+          } else {
+            saveWord(record, entries[record.key]).catch(reportFailure('save the word'));
+          }
+        });
+        star.setAttribute('aria-pressed', String(saved));
+        const remove = createIconButton('Delete from history', '✕', () => {
+          deleteHistory([record.id]).catch(reportFailure('delete the lookup'));
+        });
+        return createRow(record, record.timestamp, [star, remove]);
+      });
+      summary.textContent = `${history.length} lookup${history.length === 1 ? '' : 's'}`;
+    } else {
+      rows = filterAndSort(vocabulary, 'savedAt').map(item => {
+        const remove = createIconButton('Remove from vocabulary', '✕', () => {
+          unsaveWords([item.key]).catch(reportFailure('remove the word'));
+        });
+        return createRow(item, item.savedAt, [remove]);
+      });
+      summary.textContent = `${vocabulary.length} saved word${vocabulary.length === 1 ? '' : 's'}`;
+    }
+
+    if (rows.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'empty';
+      empty.textContent = searchInput.value.trim() ? 'No matches' : 'Nothing here yet';
+      rows = [empty];
+    }
+    list.append(...rows);
+
+    historyTab.setAttribute('aria-selected', String(view === 'history'));
+    savedTab.setAttribute('aria-selected', String(view === 'saved'));
+    clearButton.hidden = view !== 'history';
+  }
+
+  /**
+   * Reloads data from storage and re-renders
+   */
+  async function refresh() {
+    [history, vocabulary, entries] = await Promise.all([
+      getHistory(),
+      getVocabulary(),
+      getEntries(),
+    ]);
+    render();
+  }
+
+  /**
+   * Builds export items for the active view. History is reduced to the
+   * most recent lookup of each word.
+   * @returns {Array<Object>} - Export items
+   */
+  function getExportItems() {
+    const source = view === 'history'
+      ? filterAndSort(history, 'timestamp').map(record => ({ ...record, time: record.timestamp }))
+      : filterAndSort(vocabulary, 'savedAt').map(item => ({ ...item, time: item.savedAt }));
+
+    const seen = new Set();
+    return source
+      .filter(item => {
+        if (seen.has(item.key)) {
+          return false;
+        }
+        seen.add(item.key);
+        return true;
+      })
+      .map(item => ({ ...item, entry: entries[item.key] || null }));
+  }
+
+  /**
+   * Downloads text as a file
+   * @param {string} text - File contents
+   * @param {string} filename - File name
+   * @param {string} mimeType - MIME type
+   */
+  function downloadFile(text, filename, mimeType) {
+    const url = URL.createObjectURL(new Blob([text], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Exports the active view in the selected format
+   */
+  function handleExport() {
+    const format = exportFormatSelect.value;
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    const items = getExportItems();
+    let text;
+
+    if (format === 'json') {
+      const keys = new Set(items.map(item => item.key));
+      const visibleEntries = {};
+      for (const key of keys) {
+        if (entries[key]) {
+          visibleEntries[key] = entries[key];
+        }
+      }
+      text = toJSON({
+        history: view === 'history' ? filterAndSort(history, 'timestamp') : [],
+        vocabulary: view === 'saved' ? filterAndSort(vocabulary, 'savedAt') : [],
+        entries: visibleEntries,
+      });
+    } else if (format === 'anki') {
+      text = toAnkiTSV(items);
+    } else if (format === 'csv') {
+      text = toCSV(items);
+    } else {
+      text = toMarkdown(items);
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(text, `quickdefine-${view}-${date}.${extension}`, mimeType);
+  }
+
+  /**
+   * Imports a JSON export chosen by the user
+   */
+  async function handleImport() {
+    const file = importFile.files[0];
+    importFile.value = '';
+    if (!file) {
+      return;
+    }
+
+    try {
+      const added = await importData(parseJSONImport(await file.text()));
+      importStatus.textContent = `Imported ${added.vocabulary} saved word${added.vocabulary === 1 ? '' : 's'} and ${added.history} lookup${added.history === 1 ? '' : 's'}`;
+    } catch (error) {
+      importStatus.textContent = `Import failed: ${error.message}`;
+    }
+  }
+
+  /**
+   * Switches between history and saved words
+   * @param {string} nextView - 'history' | 'saved'
+   */
+  function setView(nextView) {
+    view = nextView;
+    render();
+  }
+
+  /**
+   * Initializes the history page
+   */
+  function init() {
+    historyTab.addEventListener('click', () => setView('history'));
+    savedTab.addEventListener('click', () => setView('saved'));
+    searchInput.addEventListener('input', render);
+    sortSelect.addEventListener('change', render);
+    for (const [format, { label }] of Object.entries(EXPORT_FORMATS)) {
+      exportFormatSelect.add(new Option(label, format));
+    }
+    exportButton.addEventListener('click', handleExport);
+    importButton.addEventListener('click', () => importFile.click());
+    importFile.addEventListener('change', handleImport);
+
+    clearButton.addEventListener('click', () => {
+      if (confirm('Delete all lookup history? Saved words are kept.')) {
+        clearHistory().catch(reportFailure('clear the history'));
+      }
+    });
+
+    if (location.hash === '#saved') {
+      view = 'saved';
+    }
+
+    const reload = () => refresh().catch(reportFailure('load your history'));
+    onHistoryChanged(reload);
+    reload();
+  }
+
+  init();
+})();
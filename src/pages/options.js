@@ -0,0 +1,247 @@
+/**
+ * QuickDefine - Options Page
+ * Renders a form from the settings schema and persists it to chrome.storage.sync
+ */
+
+(function() {
+  'use strict';
+
+  const {
+    SETTINGS_SCHEMA,
+    formatSiteRule,
+    getDefaultSettings,
+    loadSettings,
+    saveSettings,
+  } = window.QuickDefineSettings;
+  const { formatErrorMessage } = window.QuickDefineUtils;
+
+  const defaults = getDefaultSettings(QUICKDEFINE_CONFIG);
+  const form = document.getElementById('settings-form');
+  const sectionsContainer = document.getElementById('settings-sections');
+  const status = document.getElementById('status');
+  const resetButton = document.getElementById('reset-button');
+
+  /**
+   * Creates the input element for a schema field
+   * @param {string} key - Setting key
+   * @param {Object} field - Schema entry
+   * @returns {HTMLElement} - Input element
+   */
+  function createInput(key, field) {
+    let input;
+
+    if (field.type === 'enum') {
+      input = document.createElement('select');
+      for (const option of field.options) {
+        const optionElement = document.createElement('option');
+        optionElement.value = option.value;
+        optionElement.textContent = option.label;
+        input.appendChild(optionElement);
+      }
+    } else if (field.type === 'selectorList' || field.type === 'siteRuleList') {
+      input = document.createElement('textarea');
+      input.spellcheck = false;
+    } else if (field.type === 'boolean') {
+      input = document.createElement('input');
+      input.type = 'checkbox';
+    } else if (field.type === 'text') {
+      input = document.createElement('input');
+      input.type = 'text';
+      input.maxLength = field.maxLength;
+      input.spellcheck = false;
+    } else {
+      input = document.createElement('input');
+      input.type = 'number';
+      input.min = field.min;
+      input.max = field.max;
+      input.step = 1;
+    }
+
+    input.id = `setting-${key}`;
+    input.name = key;
+    return input;
+  }
+
+  /**
+   * Creates a list of this device's speech synthesis voices for a text input
+   * @param {HTMLInputElement} input - Voice name input
+   * @returns {HTMLDataListElement} - Voice list, filled once voices load
+   */
+  function createVoiceList(input) {
+    const list = document.createElement('datalist');
+    list.id = `${input.id}-options`;
+    input.setAttribute('list', list.id);
+
+    const fill = () => {
+      list.replaceChildren(...speechSynthesis.getVoices().map(voice => {
+        const option = document.createElement('option');
+        option.value = voice.name;
+        option.label = `${voice.name} (${voice.lang})`;
+        return option;
+      }));
+    };
+    if (typeof speechSynthesis !== 'undefined') {
+      fill();
+      // Chrome lists its voices asynchronously
+      speechSynthesis.addEventListener('voiceschanged', fill);
+    }
+    return list;
+  }
+
+  /**
+   * Builds the form sections from the settings schema
+   */
+  function renderForm() {
+    const sections = new Map();
+
+    for (const [key, field] of Object.entries(SETTINGS_SCHEMA)) {
+      if (!sections.has(field.section)) {
+        const section = document.createElement('section');
+        section.className = 'section';
+        const title = document.createElement('h2');
+        title.className = 'section-title';
+        title.textContent = field.section;
+        section.appendChild(title);
+        sections.set(field.section, section);
+        sectionsContainer.appendChild(section);
+      }
+
+      const row = document.createElement('div');
+      row.className = 'field';
+
+      const label = document.createElement('label');
+      label.htmlFor = `setting-${key}`;
+      label.textContent = field.label;
+      row.appendChild(label);
+      row.appendChild(createInput(key, field));
+      if (field.suggestions === 'voices') {
+        row.appendChild(createVoiceList(row.lastChild));
+      }
+
+      if (field.description) {
+        const description = document.createElement('div');
+        description.className = 'field-description';
+        description.textContent = field.description;
+        row.appendChild(description);
+      }
+
+      const error = document.createElement('div');
+      error.className = 'field-error';
+      error.id = `error-${key}`;
+      row.appendChild(error);
+
+      sections.get(field.section).appendChild(row);
+    }
+  }
+
+  /**
+   * Fills the form with setting values
+   * @param {Object} values - Settings keyed by schema name
+   */
+  function fillForm(values) {
+    for (const [key, field] of Object.entries(SETTINGS_SCHEMA)) {
+      const input = form.elements[key];
+      const value = values[key];
+      if (field.type === 'selectorList') {
+        input.value = value.join('\n');
+      } else if (field.type === 'siteRuleList') {
+        input.value = value.map(formatSiteRule).join('\n');
+      } else if (field.type === 'boolean') {
+        input.checked = value;
+      } else {
+        input.value = value;
+      }
+    }
+  }
+
+  /**
+   * Reads raw setting values from the form
+   * @returns {Object} - Settings keyed by schema name
+   */
+  function readForm() {
+    const values = {};
+    for (const [key, field] of Object.entries(SETTINGS_SCHEMA)) {
+      const input = form.elements[key];
+      if (field.type === 'selectorList' || field.type === 'siteRuleList') {
+        values[key] = input.value.split('\n');
+      } else if (field.type === 'boolean') {
+        values[key] = input.checked;
+      } else {
+        values[key] = input.value;
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Shows validation errors next to their fields
+   * @param {Object} errors - Error messages keyed by setting
+   */
+  function showErrors(errors) {
+    for (const key of Object.keys(SETTINGS_SCHEMA)) {
+      const message = errors[key] || '';
+      document.getElementById(`error-${key}`).textContent = message;
+      form.elements[key].setAttribute('aria-invalid', message ? 'true' : 'false');
+    }
+  }
+
+  /**
+   * Shows a transient status message
+   * @param {string} message - Message to show
+   */
+  function showStatus(message) {
+    status.textContent = message;
+    setTimeout(() => {
+      if (status.textContent === message) {
+        status.textContent = '';
+      }
+    }, 2000);
+  }
+
+  /**
+   * Handles form submission
+   * @param {SubmitEvent} event - Submit event
+   */
+  async function handleSubmit(event) {
+    event.preventDefault();
+    let errors;
+    try {
+      errors = await saveSettings(readForm());
+    } catch (error) {
+      // e.g. the storage.sync quota was exceeded
+      console.error('QuickDefine: Failed to save settings', error);
+      showStatus(`Could not save settings: ${formatErrorMessage(error)}`);
+      return;
+    }
+    showErrors(errors);
+    showStatus(Object.keys(errors).length > 0 ? 'Please fix the highlighted fields' : 'Saved');
+  }
+
+  /**
+   * Restores every setting to its default
+   */
+  async function handleReset() {
+    try {
+      await saveSettings({});
+    } catch (error) {
+      console.error('QuickDefine: Failed to restore default settings', error);
+      showStatus(`Could not restore defaults: ${formatErrorMessage(error)}`);
+      return;
+    }
+    fillForm(defaults);
+    showErrors({});
+    showStatus('Defaults restored');
+  }
+
+  /**
+   * Initializes the options page
+   */
+  async function init() {
+    renderForm();
+    fillForm({ ...defaults, ...(await loadSettings()) });
+    form.addEventListener('submit', handleSubmit);
+    resetButton.addEventListener('click', handleReset);
+  }
+
+  init();
+})();
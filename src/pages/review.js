@@ -0,0 +1,188 @@
+/**
+ * QuickDefine - Review Page
+ * Flashcard review of saved vocabulary, scheduled with spaced repetition
+ */
+
+(function() {
+  'use strict';
+
+  const { getVocabulary, getEntries, updateReview } = window.QuickDefineHistory;
+  const { gradeCard, getDueItems, getNextDue } = window.QuickDefineSRS;
+
+  const progress = document.getElementById('progress');
+  const card = document.getElementById('card');
+  const cardWord = document.getElementById('card-word');
+  const cardLanguage = document.getElementById('card-language');
+  const cardAnswer = document.getElementById('card-answer');
+  const cardPhonetic = document.getElementById('card-phonetic');
+  const cardDefinitions = document.getElementById('card-definitions');
+  const cardSentence = document.getElementById('card-sentence');
+  const revealButton = document.getElementById('reveal-button');
+  const failButton = document.getElementById('fail-button');
+  const passButton = document.getElementById('pass-button');
+  const done = document.getElementById('done');
+
+  // Session state
+  let queue = [];
+  let entries = {};
+  let reviewed = 0;
+  let revealed = false;
+
+  /**
+   * Renders the stored definition of the current card
+   * @param {Object} item - Vocabulary item
+   */
+  function renderAnswer(item) {
+    const entry = entries[item.key]?.data?.[0];
+    cardPhonetic.textContent = entry?.phonetic || entry?.phonetics?.find(p => p.text)?.text || '';
+    cardDefinitions.textContent = '';
+
+    if (!entry) {
+      cardDefinitions.textContent = 'No stored definition for this word.';
+    } else {
+      for (const meaning of entry.meanings || []) {
+        if (meaning.partOfSpeech) {
+          const partOfSpeech = document.createElement('div');
+          partOfSpeech.className = 'section-title';
+          partOfSpeech.textContent = meaning.partOfSpeech;
+          cardDefinitions.appendChild(partOfSpeech);
+        }
+        const list = document.createElement('ol');
+        for (const definition of (meaning.definitions || []).slice(0, 3)) {
+          const listItem = document.createElement('li');
+          listItem.textContent = definition.definition;
+          list.appendChild(listItem);
+        }
+        cardDefinitions.appendChild(list);
+      }
+    }
+
+    cardSentence.textContent = item.sentence ? `“${item.sentence}”` : '';
+  }
+
+  /**
+   * Shows the card at the front of the queue, or the summary when done
+   */
+  function showNext() {
+    revealed = false;
+
+    if (queue.length === 0) {
+      card.hidden = true;
+      done.hidden = false;
+      progress.textContent = reviewed > 0 ? `Reviewed ${reviewed} card${reviewed === 1 ? '' : 's'}` : '';
+      showSummary().catch((error) => {
+        console.error('QuickDefine: Failed to load the next review date', error);
+      });
+      return;
+    }
+
+    const item = queue[0];
+    card.hidden = false;
+    done.hidden = true;
+    cardWord.textContent = item.word;
+    cardLanguage.textContent = (item.language || '').toUpperCase();
+    cardLanguage.hidden = !item.language;
+    cardAnswer.hidden = true;
+    revealButton.hidden = false;
+    failButton.hidden = true;
+    passButton.hidden = true;
+    progress.textContent = `${queue.length} card${queue.length === 1 ? '' : 's'} left`;
+    revealButton.focus();
+  }
+
+  /**
+   * Shows when the next review is due
+   */
+  async function showSummary() {
+    const nextDue = getNextDue(await getVocabulary());
+    if (nextDue === null) {
+      done.textContent = 'No saved words yet. Star a word in the QuickDefine popup to start reviewing.';
+    } else {
+      done.textContent = `All caught up! Next review ${new Date(nextDue).toLocaleString()}.`;
+    }
+  }
+
+  /**
+   * Reveals the answer for the current card
+   */
+  function reveal() {
+    if (queue.length === 0 || revealed) {
+      return;
+    }
+    revealed = true;
+    renderAnswer(queue[0]);
+    cardAnswer.hidden = false;
+    revealButton.hidden = true;
+    failButton.hidden = false;
+    passButton.hidden = false;
+    passButton.focus();
+  }
+
+  /**
+   * Grades the current card and advances
+   * @param {string} grade - 'pass' | 'fail'
+   */
+  async function gradeCurrent(grade) {
+    if (queue.length === 0 || !revealed) {
+      return;
+    }
+
+    const item = queue.shift();
+    revealed = false;
+    let review;
+    try {
+      review = gradeCard(item.review, grade);
+      await updateReview(item.key, review);
+    } catch (error) {
+      // Keep the card on screen so it can be graded again
+      console.error('QuickDefine: Failed to save review', error);
+      queue.unshift(item);
+      revealed = true;
+      progress.textContent = 'Could not save your answer. Please try again.';
+      return;
+    }
+    reviewed++;
+
+    // Failed cards come back at the end of this session
+    if (grade === 'fail') {
+      queue.push({ ...item, review });
+    }
+    showNext();
+  }
+
+  /**
+   * Handles keyboard shortcuts
+   * @param {KeyboardEvent} event - Keyboard event
+   */
+  function handleKeyDown(event) {
+    if (event.key === ' ' && !revealed) {
+      event.preventDefault();
+      reveal();
+    } else if (event.key === '1') {
+      gradeCurrent('fail');
+    } else if (event.key === '2') {
+      gradeCurrent('pass');
+    }
+  }
+
+  /**
+   * Initializes the review page
+   */
+  async function init() {
+    const [vocabulary, storedEntries] = await Promise.all([getVocabulary(), getEntries()]);
+    entries = storedEntries;
+    queue = getDueItems(vocabulary);
+
+    revealButton.addEventListener('click', reveal);
+    failButton.addEventListener('click', () => gradeCurrent('fail'));
+    passButton.addEventListener('click', () => gradeCurrent('pass'));
+    document.addEventListener('keydown', handleKeyDown);
+
+    showNext();
+  }
+
+  init().catch((error) => {
+    console.error('QuickDefine: Failed to load the review session', error);
+    progress.textContent = 'Could not load your saved words.';
+  });
+})();
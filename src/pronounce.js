@@ -0,0 +1,191 @@
+/**
+ * QuickDefine - Pronunciation
+ * Plays the recording for the preferred accent, keeping fetched audio for
+ * replays, and falls back to speech synthesis when there is no recording
+ */
+
+(function() {
+  'use strict';
+
+  // Speech synthesis locale for each accent
+  const ACCENT_LOCALES = {
+    us: 'en-US',
+    uk: 'en-GB',
+    au: 'en-AU',
+  };
+
+  // How long to wait for the browser to list its voices
+  const VOICES_TIMEOUT = 1000; // milliseconds
+
+  // Loaded recordings by URL, oldest first
+  const audioCache = new Map();
+
+  /**
+   * Pick the pronunciation to play: a recording in the preferred accent,
+   * then any recording
+   * @param {Array<{text: string, audio: string, accent?: string}>} phonetics - Phonetics of the entries
+   * @param {string} accent - Preferred accent ('us' | 'uk' | 'au')
+   * @returns {{text: string, audio: string, accent?: string}|null} Phonetic with audio, or null
+   */
+  function choosePronunciation(phonetics, accent) {
+    const recordings = (phonetics || []).filter(phonetic => phonetic.audio);
+    return recordings.find(phonetic => phonetic.accent === accent) || recordings[0] || null;
+  }
+
+  /**
+   * Check whether the browser can speak words aloud
+   * @returns {boolean} True if speech synthesis is available
+   */
+  function canSpeak() {
+    return typeof window.speechSynthesis !== 'undefined' && typeof window.SpeechSynthesisUtterance !== 'undefined';
+  }
+
+  /**
+   * Get the speech synthesis voices, waiting briefly for browsers that load
+   * them asynchronously
+   * @returns {Promise<SpeechSynthesisVoice[]>} Voices (may be empty)
+   */
+  function getVoices() {
+    if (!canSpeak()) {
+      return Promise.resolve([]);
+    }
+    const voices = speechSynthesis.getVoices();
+    if (voices.length > 0) {
+      return Promise.resolve(voices);
+    }
+
+    return new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timer);
+        speechSynthesis.removeEventListener('voiceschanged', done);
+        resolve(speechSynthesis.getVoices());
+      };
+      const timer = setTimeout(done, VOICES_TIMEOUT);
+      speechSynthesis.addEventListener('voiceschanged', done);
+    });
+  }
+
+  /**
+   * Pick a voice: the preferred one if it speaks the language, then one
+   * with the accent's locale, then any voice for the language
+   * @param {SpeechSynthesisVoice[]} voices - Available voices
+   * @param {Object} options - Voice preferences
+   * @param {string} options.language - ISO 639 language code
+   * @param {string} options.accent - Preferred accent, for English
+   * @param {string} options.voiceName - Preferred voice name; empty for none
+   * @returns {SpeechSynthesisVoice|null} Voice, or null to use the default
+   */
+  function chooseVoice(voices, { language, accent, voiceName }) {
+    const speaksLanguage = voice => voice.lang.toLowerCase().split(/[-_]/)[0] === language;
+    const locale = language === 'en' ? ACCENT_LOCALES[accent] : '';
+
+    return voices.find(voice => voiceName && voice.name === voiceName && speaksLanguage(voice)) ||
+      voices.find(voice => locale && voice.lang.replace('_', '-').toLowerCase() === locale.toLowerCase()) ||
+      voices.find(speaksLanguage) ||
+      null;
+  }
+
+  /**
+   * Speak a word with speech synthesis
+   * @param {string} text - Word or phrase
+   * @param {Object} options - Speech options
+   * @param {string} options.language - ISO 639 language code
+   * @param {string} options.accent - Preferred accent, for English
+   * @param {string} options.voiceName - Preferred voice name
+   * @param {number} options.rate - Playback speed (1 = normal)
+   * @returns {Promise<void>} Resolves when speaking ends; rejects on error
+   */
+  async function speak(text, { language, accent, voiceName, rate }) {
+    const voice = chooseVoice(await getVoices(), { language, accent, voiceName });
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = voice ? voice.lang : (language === 'en' ? ACCENT_LOCALES[accent] : language);
+    utterance.voice = voice;
+    utterance.rate = rate;
+
+    // Don't queue behind an earlier word
+    speechSynthesis.cancel();
+    return new Promise((resolve, reject) => {
+      utterance.addEventListener('end', () => resolve());
+      utterance.addEventListener('error', (event) => {
+        // Cancelled by a newer word
+        if (event.error === 'interrupted' || event.error === 'canceled') {
+          resolve();
+        } else {
+          reject(new Error(`Speech synthesis failed: ${event.error}`));
+        }
+      });
+      speechSynthesis.speak(utterance);
+    });
+  }
+
+  /**
+   * Play a recording. Audio is loaded once and kept for replays, so playing
+   * a word again doesn't download it again.
+   * @param {string} url - Audio URL
+   * @param {Object} options - Playback options
+   * @param {number} options.rate - Playback speed (1 = normal)
+   * @param {number} options.cacheSize - Recordings to keep loaded
+   * @returns {Promise<void>} Resolves when playback starts
+   */
+  function playAudio(url, { rate, cacheSize }) {
+    let audio = audioCache.get(url);
+    if (audio) {
+      // Most recently used last
+      audioCache.delete(url);
+    } else {
+      audio = new Audio(url);
+      audio.preload = 'auto';
+    }
+    audioCache.set(url, audio);
+    while (audioCache.size > cacheSize) {
+      audioCache.delete(audioCache.keys().next().value);
+    }
+
+    audio.pause();
+    audio.currentTime = 0;
+    audio.playbackRate = rate;
+    return audio.play().catch((error) => {
+      // Don't keep a recording that failed to load
+      audioCache.delete(url);
+      throw error;
+    });
+  }
+
+  /**
+   * Pronounce a word: play its recording, or speak it when there is no
+   * recording or the recording can't be played
+   * @param {string} word - Headword
+   * @param {Array<Object>} phonetics - Phonetics of the entries
+   * @param {Object} options - Pronunciation options
+   * @param {string} options.language - ISO 639 language code
+   * @param {Object} options.settings - CONFIG.PRONUNCIATION
+   * @returns {Promise<string>} 'audio' | 'speech'; rejects if neither works
+   */
+  async function pronounce(word, phonetics, { language, settings }) {
+    const pronunciation = choosePronunciation(phonetics, settings.ACCENT);
+    if (pronunciation) {
+      try {
+        await playAudio(pronunciation.audio, { rate: settings.RATE, cacheSize: settings.AUDIO_CACHE_SIZE });
+        return 'audio';
+      } catch (error) {
+        if (!settings.SPEECH_FALLBACK || !canSpeak()) {
+          throw error;
+        }
+        console.warn('QuickDefine: Audio playback failed, speaking instead', error);
+      }
+    } else if (!settings.SPEECH_FALLBACK || !canSpeak()) {
+      throw new Error('No pronunciation available');
+    }
+
+    await speak(word, { language, accent: settings.ACCENT, voiceName: settings.VOICE, rate: settings.RATE });
+    return 'speech';
+  }
+
+  // Export pronunciation helpers to global scope
+  window.QuickDefinePronounce = {
+    choosePronunciation,
+    canSpeak,
+    getVoices,
+    pronounce,
+  };
+})();
@@ -0,0 +1,354 @@
+/**
+ * QuickDefine - Dictionary Providers
+ * Pluggable dictionary backends that normalize their responses to a common entry schema
+ */
+
+(function() {
+  'use strict';
+
+  if (typeof globalThis.QuickDefineUtils === 'undefined') {
+    console.error('QuickDefine: Required dependencies not loaded. Ensure utils.js is loaded first.');
+    return;
+  }
+
+  const { fetchWithTimeout, formatErrorMessage } = globalThis.QuickDefineUtils;
+
+  /**
+   * Common entry schema produced by every provider and consumed by the popup.
+   * It follows the dictionaryapi.dev shape so existing rendering keeps working.
+   *
+   * @typedef {Object} DictionaryEntry
+   * @property {string} word - Headword
+   * @property {string} [phonetic] - Preferred phonetic transcription
+   * @property {Array<{text: string, audio: string, accent: string}>} phonetics - Transcriptions
+   *   and audio URLs; `accent` is 'us' | 'uk' | 'au' when known, otherwise ''
+   * @property {Array<Meaning>} meanings - Meanings grouped by part of speech
+   * @property {string[]} sourceUrls - Attribution links
+   *
+   * @typedef {Object} Meaning
+   * @property {string} partOfSpeech - e.g. 'noun', 'verb'
+   * @property {Array<Definition>} definitions - Senses for this part of speech
+   * @property {string[]} synonyms - Meaning-level synonyms
+   * @property {string[]} antonyms - Meaning-level antonyms
+   *
+   * @typedef {Object} Definition
+   * @property {string} definition - Plain-text definition
+   * @property {string} [example] - Plain-text usage example
+   * @property {string[]} synonyms - Sense-level synonyms
+   * @property {string[]} antonyms - Sense-level antonyms
+   *
+   * @typedef {Object} ProviderResult
+   * @property {DictionaryEntry[]} [data] - Normalized entries on success
+   * @property {string} [error] - 'not_found' | 'timeout' | 'network' | 'aborted'
+   * @property {string} [message] - Optional error details
+   */
+
+  /**
+   * Keep only non-empty strings from an array
+   * @param {*} list - Candidate array
+   * @returns {string[]} Clean string array
+   */
+  function toStringList(list) {
+    return Array.isArray(list)
+      ? list.filter(item => typeof item === 'string' && item.trim())
+      : [];
+  }
+
+  /**
+   * Strip markup from provider HTML and decode common entities
+   * @param {string} html - HTML fragment
+   * @returns {string} Plain text
+   */
+  function stripHTML(html) {
+    if (typeof html !== 'string') {
+      return '';
+    }
+
+    const entities = {
+      '&amp;': '&',
+      '&lt;': '<',
+      '&gt;': '>',
+      '&quot;': '"',
+      '&#39;': "'",
+      '&nbsp;': ' ',
+    };
+
+    return html
+      .replace(/<[^>]*>/g, '')
+      .replace(/&#(\d+);/g, (m, code) => String.fromCharCode(Number(code)))
+      .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (m) => entities[m])
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Get the accent of a Free Dictionary recording from its file name
+   * (e.g. ".../hello-uk.mp3")
+   * @param {string} url - Audio URL
+   * @returns {string} 'us' | 'uk' | 'au', or '' if unknown
+   */
+  function getAudioAccent(url) {
+    const match = url.match(/-(us|uk|au)\.mp3$/i);
+    return match ? match[1].toLowerCase() : '';
+  }
+
+  /**
+   * Base class for dictionary providers
+   * Subclasses describe their capabilities, build the request URL and
+   * normalize the raw response; lookup() handles transport and errors.
+   */
+  class DictionaryProvider {
+    /**
+     * @param {Object} options - Provider configuration
+     * @param {string} options.ID - Provider identifier
+     * @param {string} options.NAME - Human-readable name
+     * @param {string} options.BASE_URL - Endpoint base URL
+     * @param {Object} apiConfig - Shared API settings (timeout, retries)
+     */
+    constructor(options, apiConfig = {}) {
+      this.id = options.ID;
+      this.name = options.NAME || options.ID;
+      this.baseUrl = options.BASE_URL;
+      this.timeout = apiConfig.TIMEOUT || 10000;
+      this.retries = apiConfig.RETRY_ATTEMPTS || 0;
+    }
+
+    /**
+     * What this backend can provide
+     * @returns {{languages: string[], audio: boolean, phonetics: boolean, synonyms: boolean, examples: boolean}}
+     */
+    get capabilities() {
+      return {
+        languages: ['en'],
+        audio: false,
+        phonetics: false,
+        synonyms: false,
+        examples: false,
+      };
+    }
+
+    /**
+     * Check whether the provider can look up words in a language
+     * @param {string} language - ISO 639-1 language code
+     * @returns {boolean} True if supported
+     */
+    supports(language) {
+      const { languages } = this.capabilities;
+      return languages.includes('*') || languages.includes(language);
+    }
+
+    /**
+     * Build the request URL for a word
+     * @param {string} word - Word to look up
+     * @param {string} language - ISO 639-1 language code
+     * @returns {string} Request URL
+     */
+    buildUrl(word, language) {
+      throw new Error(`QuickDefine: ${this.id} provider must implement buildUrl()`);
+    }
+
+    /**
+     * Convert a raw response body into common entries
+     * @param {*} raw - Parsed JSON response
+     * @param {string} word - Word that was looked up
+     * @param {string} language - ISO 639-1 language code
+     * @returns {DictionaryEntry[]} Normalized entries
+     */
+    normalize(raw, word, language) {
+      throw new Error(`QuickDefine: ${this.id} provider must implement normalize()`);
+    }
+
+    /**
+     * Look up a word
+     * @param {string} word - Word to look up (trimmed, original casing)
+     * @param {Object} options - Lookup options
+     * @param {string} options.language - ISO 639-1 language code
+     * @param {AbortSignal} [options.signal] - Cancels the request
+     * @returns {Promise<ProviderResult>} Normalized result
+     */
+    async lookup(word, { language = 'en', signal = null } = {}) {
+      try {
+        const response = await fetchWithTimeout(
+          this.buildUrl(word, language),
+          {
+            headers: {
+              'Accept': 'application/json',
+            },
+            signal,
+          },
+          this.timeout,
+          this.retries
+        );
+
+        if (!response.ok) {
+          if (response.status === 404) {
+            return { error: 'not_found' };
+          }
+          return { error: 'network', message: `API error: ${response.status}` };
+        }
+
+        const data = this.normalize(await response.json(), word, language);
+        return data.length > 0 ? { data } : { error: 'not_found' };
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          return { error: 'aborted' };
+        }
+        if (error.name === 'TimeoutError') {
+          return { error: 'timeout' };
+        }
+        return { error: 'network', message: formatErrorMessage(error) };
+      }
+    }
+  }
+
+  /**
+   * Free Dictionary API (dictionaryapi.dev)
+   */
+  class FreeDictionaryProvider extends DictionaryProvider {
+    get capabilities() {
+      return {
+        languages: ['en'],
+        audio: true,
+        phonetics: true,
+        synonyms: true,
+        examples: true,
+      };
+    }
+
+    buildUrl(word, language) {
+      return `${this.baseUrl}/${language}/${encodeURIComponent(word.toLowerCase())}`;
+    }
+
+    normalize(raw) {
+      if (!Array.isArray(raw)) {
+        return [];
+      }
+
+      return raw.map(entry => ({
+        word: entry.word || '',
+        phonetic: entry.phonetic || '',
+        phonetics: (entry.phonetics || []).map(p => ({
+          text: p.text || '',
+          audio: p.audio || '',
+          accent: getAudioAccent(p.audio || ''),
+        })),
+        meanings: (entry.meanings || []).map(meaning => ({
+          partOfSpeech: meaning.partOfSpeech || '',
+          definitions: (meaning.definitions || []).map(def => ({
+            definition: def.definition || '',
+            example: def.example || '',
+            synonyms: toStringList(def.synonyms),
+            antonyms: toStringList(def.antonyms),
+          })),
+          synonyms: toStringList(meaning.synonyms),
+          antonyms: toStringList(meaning.antonyms),
+        })),
+        sourceUrls: toStringList(entry.sourceUrls),
+      })).filter(entry => entry.meanings.length > 0);
+    }
+  }
+
+  /**
+   * Wiktionary REST definition endpoint
+   * Returns definitions grouped by language code, with HTML markup.
+   * Page titles are case-sensitive, so the lowercase form is tried as well.
+   */
+  class WiktionaryProvider extends DictionaryProvider {
+    get capabilities() {
+      return {
+        languages: ['*'],
+        audio: false,
+        phonetics: false,
+        synonyms: false,
+        examples: true,
+      };
+    }
+
+    buildUrl(word) {
+      return `${this.baseUrl}/${encodeURIComponent(word)}`;
+    }
+
+    async lookup(word, options = {}) {
+      const result = await super.lookup(word, options);
+      const lowerWord = word.toLowerCase();
+      if (result.error === 'not_found' && lowerWord !== word) {
+        return super.lookup(lowerWord, options);
+      }
+      return result;
+    }
+
+    normalize(raw, word, language) {
+      const sections = raw && Array.isArray(raw[language]) ? raw[language] : [];
+
+      const meanings = sections.map(section => ({
+        partOfSpeech: (section.partOfSpeech || '').toLowerCase(),
+        definitions: (section.definitions || [])
+          .map(def => ({
+            definition: stripHTML(def.definition),
+            example: stripHTML((def.examples || [])[0]),
+            synonyms: [],
+            antonyms: [],
+          }))
+          .filter(def => def.definition),
+        synonyms: [],
+        antonyms: [],
+      })).filter(meaning => meaning.definitions.length > 0);
+
+      if (meanings.length === 0) {
+        return [];
+      }
+
+      return [{
+        word,
+        phonetic: '',
+        phonetics: [],
+        meanings,
+        sourceUrls: [`https://en.wiktionary.org/wiki/${encodeURIComponent(word)}`],
+      }];
+    }
+  }
+
+  // Provider implementations by configuration ID
+  const providerTypes = new Map([
+    ['freedictionary', FreeDictionaryProvider],
+    ['wiktionary', WiktionaryProvider],
+  ]);
+
+  /**
+   * Register an additional provider implementation
+   * @param {string} id - Provider identifier used in CONFIG.API.PROVIDERS
+   * @param {typeof DictionaryProvider} ProviderClass - Provider class
+   */
+  function registerProvider(id, ProviderClass) {
+    providerTypes.set(id, ProviderClass);
+  }
+
+  /**
+   * Instantiate the configured providers in priority order
+   * @param {Object} config - QuickDefine configuration
+   * @returns {DictionaryProvider[]} Provider instances
+   */
+  function createProviders(config) {
+    return config.API.PROVIDERS
+      .filter(options => options.ENABLED !== false)
+      .map(options => {
+        const ProviderClass = providerTypes.get(options.ID);
+        if (!ProviderClass) {
+          console.warn(`QuickDefine: Unknown dictionary provider "${options.ID}"`);
+          return null;
+        }
+        return new ProviderClass(options, config.API);
+      })
+      .filter(Boolean);
+  }
+
+  // Export providers to global scope
+  globalThis.QuickDefineProviders = {
+    DictionaryProvider,
+    FreeDictionaryProvider,
+    WiktionaryProvider,
+    registerProvider,
+    createProviders,
+    stripHTML,
+  };
+})();
@@ -0,0 +1,216 @@
+/**
+ * QuickDefine - Sense Ranking
+ * Orders the meanings and definitions of an entry by how well they fit the
+ * sentence the word was selected from, using word overlap and simple
+ * part-of-speech cues from the neighbouring words
+ */
+
+(function() {
+  'use strict';
+
+  // Words too common to say anything about a sense
+  const STOP_WORDS = new Set([
+    'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at',
+    'be', 'been', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does',
+    'each', 'for', 'from', 'had', 'has', 'have', 'he', 'her', 'his', 'how',
+    'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'may', 'more', 'most',
+    'my', 'no', 'not', 'of', 'on', 'one', 'or', 'other', 'our', 'out', 'over',
+    'said', 'she', 'should', 'so', 'some', 'something', 'someone', 'such',
+    'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they',
+    'this', 'those', 'to', 'up', 'used', 'very', 'was', 'we', 'were', 'what',
+    'when', 'which', 'who', 'will', 'with', 'would', 'you', 'your',
+  ]);
+
+  // Words right before the looked-up word that suggest its part of speech
+  const NOUN_CUES = new Set([
+    'a', 'an', 'the', 'this', 'that', 'these', 'those', 'my', 'your', 'his',
+    'her', 'its', 'our', 'their', 'some', 'any', 'each', 'every', 'no', 'another',
+  ]);
+  const VERB_CUES = new Set([
+    'to', 'will', 'would', 'can', 'could', 'shall', 'should', 'may', 'might',
+    'must', 'do', 'does', 'did', "don't", "didn't", "won't", "can't",
+    'i', 'you', 'we', 'they', 'he', 'she',
+  ]);
+  const ADJECTIVE_CUES = new Set([
+    'very', 'so', 'too', 'quite', 'rather', 'really', 'extremely', 'fairly',
+  ]);
+
+  // Title words count for less than words of the sentence itself
+  const TITLE_WEIGHT = 0.5;
+
+  // Bonus for meanings whose part of speech matches the cues; a determiner
+  // or modal before the word says more than a single shared word
+  const PART_OF_SPEECH_BONUS = 1;
+
+  /**
+   * Reduce a word to a rough stem so that "rates", "rated" and "rate" match.
+   * "-es" is only a suffix after s, x, z, ch and sh ("boxes"); a final "e"
+   * is dropped so that "rate" and "rated" agree.
+   * @param {string} word - Lowercase word
+   * @returns {string} Stem
+   */
+  function stem(word) {
+    const base = word.replace(/(?:(?<=[sxz]|ch|sh)es|ing|ed|ly|(?<!s)s)$/, (suffix, index) => (index >= 3 ? '' : suffix));
+    return base.length > 3 ? base.replace(/e$/, '') : base;
+  }
+
+  /**
+   * Split text into the stems of its content words
+   * @param {string} text - Text to split
+   * @returns {string[]} Stems, without stop words and very short words
+   */
+  function tokenize(text) {
+    return ((text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [])
+      .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+      .map(stem);
+  }
+
+  /**
+   * Get the distinct content words of a phrase, in order
+   * @param {string} text - Phrase
+   * @returns {string[]} Words as written, without stop words
+   */
+  function getContentWords(text) {
+    const words = [];
+    const seen = new Set();
+    for (const word of (text || '').match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || []) {
+      const key = word.toLowerCase();
+      if (!STOP_WORDS.has(key) && !seen.has(key)) {
+        seen.add(key);
+        words.push(word);
+      }
+    }
+    return words;
+  }
+
+  /**
+   * Guess the part of speech of a word from the word before it
+   * @param {string} sentence - Sentence containing the word
+   * @param {string} word - Looked-up word (a single word)
+   * @returns {string} 'noun' | 'verb' | 'adjective' | 'adverb', or '' if unclear
+   */
+  function guessPartOfSpeech(sentence, word) {
+    const target = word.trim().toLowerCase();
+    if (!target || /\s/.test(target)) {
+      return '';
+    }
+
+    const words = (sentence || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [];
+    const index = words.indexOf(target);
+    if (index === -1) {
+      return '';
+    }
+
+    const previous = words[index - 1];
+    if (NOUN_CUES.has(previous)) {
+      return 'noun';
+    }
+    if (VERB_CUES.has(previous)) {
+      return 'verb';
+    }
+    if (ADJECTIVE_CUES.has(previous)) {
+      return 'adjective';
+    }
+    return target.endsWith('ly') ? 'adverb' : '';
+  }
+
+  /**
+   * Score how well a definition fits the context words
+   * @param {Object} definition - Definition ({definition, example, synonyms})
+   * @param {Map<string, number>} context - Context stems and their weights
+   * @returns {number} Overlap score (0 when no word is shared)
+   */
+  function scoreDefinition(definition, context) {
+    const stems = new Set(tokenize([
+      definition.definition,
+      definition.example,
+      ...(definition.synonyms || []),
+    ].join(' ')));
+    if (stems.size === 0) {
+      return 0;
+    }
+
+    let overlap = 0;
+    for (const token of stems) {
+      overlap += context.get(token) || 0;
+    }
+    // Long definitions share more words by chance
+    return overlap / Math.sqrt(stems.size);
+  }
+
+  /**
+   * Reorder entries, meanings and definitions so the sense that best fits
+   * the sentence comes first. The best definition is marked `likely: true`
+   * when the sentence shares words with it. Input entries are not modified.
+   * @param {Array<Object>} entries - Dictionary entries
+   * @param {Object} context - Where the word was found
+   * @param {string} context.word - Looked-up word
+   * @param {string} context.sentence - Sentence around the word
+   * @param {string} context.title - Page title
+   * @returns {Array<Object>} Ranked copies of the entries
+   */
+  function rankSenses(entries, { word, sentence, title = '' }) {
+    if (!sentence) {
+      return entries;
+    }
+
+    // Context words, without the looked-up word itself
+    const ignored = new Set(tokenize(word));
+    const context = new Map();
+    for (const token of tokenize(title)) {
+      context.set(token, TITLE_WEIGHT);
+    }
+    for (const token of tokenize(sentence)) {
+      context.set(token, 1);
+    }
+    for (const token of ignored) {
+      context.delete(token);
+    }
+
+    const partOfSpeech = guessPartOfSpeech(sentence, word);
+    let best = null;
+
+    const ranked = entries.map((entry) => {
+      const meanings = (entry.meanings || []).map((meaning) => {
+        const bonus = partOfSpeech && meaning.partOfSpeech === partOfSpeech ? PART_OF_SPEECH_BONUS : 0;
+        const definitions = (meaning.definitions || [])
+          .map((definition, index) => ({ definition: { ...definition }, overlap: scoreDefinition(definition, context), index }))
+          .sort((a, b) => b.overlap - a.overlap || a.index - b.index);
+
+        const top = definitions[0];
+        const score = (top ? top.overlap : 0) + bonus;
+        if (top && top.overlap > 0 && (!best || score > best.score)) {
+          best = { definition: top.definition, score };
+        }
+        return {
+          meaning: { ...meaning, definitions: definitions.map(item => item.definition) },
+          score,
+        };
+      });
+
+      meanings.sort((a, b) => b.score - a.score);
+      return {
+        entry: { ...entry, meanings: meanings.map(item => item.meaning) },
+        score: meanings.length > 0 ? meanings[0].score : 0,
+      };
+    });
+
+    if (best) {
+      best.definition.likely = true;
+    }
+
+    // Homographs: the entry with the best-fitting meaning comes first
+    return ranked
+      .map((item, index) => ({ ...item, index }))
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .map(item => item.entry);
+  }
+
+  // Export sense ranking to global scope
+  window.QuickDefineSenses = {
+    rankSenses,
+    guessPartOfSpeech,
+    tokenize,
+    getContentWords,
+  };
+})();
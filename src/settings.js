@@ -0,0 +1,592 @@
+/**
+ * QuickDefine - User Settings
+ * Schema, validation and chrome.storage.sync persistence for user-tunable
+ * configuration. Stored values are merged over QUICKDEFINE_CONFIG defaults.
+ */
+
+(function() {
+  'use strict';
+
+  const STORAGE_KEY = 'settings';
+
+  // Settings are one chrome.storage.sync item, which holds at most this many
+  // bytes of key and JSON value
+  const QUOTA_BYTES_PER_ITEM = 8192;
+  const OVER_QUOTA_ERROR = 'Too long to save; remove some entries';
+
+  // Languages offered for the lookup language override
+  const LANGUAGE_OPTIONS = [
+    { value: '', label: 'Detect from page' },
+    { value: 'en', label: 'English' },
+    { value: 'es', label: 'Spanish' },
+    { value: 'fr', label: 'French' },
+    { value: 'de', label: 'German' },
+    { value: 'it', label: 'Italian' },
+    { value: 'pt', label: 'Portuguese' },
+    { value: 'nl', label: 'Dutch' },
+    { value: 'sv', label: 'Swedish' },
+    { value: 'pl', label: 'Polish' },
+    { value: 'ru', label: 'Russian' },
+    { value: 'tr', label: 'Turkish' },
+    { value: 'ar', label: 'Arabic' },
+    { value: 'hi', label: 'Hindi' },
+    { value: 'ja', label: 'Japanese' },
+    { value: 'ko', label: 'Korean' },
+    { value: 'zh', label: 'Chinese' },
+  ];
+
+  // Ways a lookup can be started
+  const TRIGGER_MODE_OPTIONS = [
+    { value: 'select', label: 'Any text selection' },
+    { value: 'modifier', label: 'Selection while holding a modifier key' },
+    { value: 'doubleclick', label: 'Double-click a word' },
+    { value: 'hover', label: 'Hover over a word' },
+    { value: 'shortcut', label: 'Keyboard shortcut only' },
+  ];
+
+  // Modifier keys for the 'modifier' trigger mode
+  const MODIFIER_OPTIONS = [
+    { value: 'Alt', label: 'Alt / Option' },
+    { value: 'Control', label: 'Ctrl' },
+    { value: 'Shift', label: 'Shift' },
+    { value: 'Meta', label: 'Cmd / Windows' },
+  ];
+
+  // Popup color themes
+  const THEME_OPTIONS = [
+    { value: 'auto', label: 'Match system (light or dark)' },
+    { value: 'page', label: 'Match page background' },
+    { value: 'light', label: 'Light' },
+    { value: 'dark', label: 'Dark' },
+    { value: 'sepia', label: 'Sepia' },
+    { value: 'high-contrast', label: 'High contrast' },
+  ];
+
+  // Popup font families
+  const FONT_FAMILY_OPTIONS = [
+    { value: 'system', label: 'System' },
+    { value: 'serif', label: 'Serif' },
+    { value: 'sans-serif', label: 'Sans-serif' },
+    { value: 'monospace', label: 'Monospace' },
+  ];
+
+  // Accents for recordings and speech synthesis
+  const ACCENT_OPTIONS = [
+    { value: 'us', label: 'American (US)' },
+    { value: 'uk', label: 'British (UK)' },
+    { value: 'au', label: 'Australian (AU)' },
+  ];
+
+  /**
+   * Settings schema
+   * Each setting maps to a QUICKDEFINE_CONFIG path. `scale` converts the
+   * stored (user-facing) unit into the config unit; `suggestions` names the
+   * values the options page offers for a text setting.
+   */
+  const SETTINGS_SCHEMA = {
+    triggerMode: {
+      path: 'TRIGGER.MODE',
+      type: 'enum',
+      options: TRIGGER_MODE_OPTIONS,
+      section: 'Trigger',
+      label: 'Look up words on',
+      description: 'The keyboard shortcut (Alt+Shift+D by default) defines the selection or the word under the pointer in every mode. Change it at chrome://extensions/shortcuts',
+    },
+    triggerModifier: {
+      path: 'TRIGGER.MODIFIER',
+      type: 'enum',
+      options: MODIFIER_OPTIONS,
+      section: 'Trigger',
+      label: 'Modifier key',
+    },
+    hoverDelay: {
+      path: 'TRIGGER.HOVER_DELAY',
+      type: 'integer',
+      min: 100,
+      max: 3000,
+      section: 'Trigger',
+      label: 'Hover delay (ms)',
+    },
+    sitesEnabledByDefault: {
+      path: 'SITES.ENABLED_BY_DEFAULT',
+      type: 'boolean',
+      section: 'Sites',
+      label: 'Enable on sites without a rule',
+    },
+    siteRules: {
+      path: 'SITES.RULES',
+      type: 'siteRuleList',
+      // Long patterns can still overflow the sync quota; validateSettings checks the size
+      maxItems: 100,
+      section: 'Sites',
+      label: 'Site rules',
+      description: 'One rule per line: a domain (example.com, also matches subdomains) or URL pattern with * wildcards, then enable or disable, then optionally a trigger (select, modifier, doubleclick, hover, shortcut). The most specific rule wins; the toolbar button toggles the current site.',
+    },
+    maxWords: {
+      path: 'SELECTION.MAX_WORDS',
+      type: 'integer',
+      min: 1,
+      max: 20,
+      section: 'Selection',
+      label: 'Maximum words per lookup',
+    },
+    debounceDelay: {
+      path: 'SELECTION.DEBOUNCE_DELAY',
+      type: 'integer',
+      min: 0,
+      max: 2000,
+      section: 'Selection',
+      label: 'Delay before lookup (ms)',
+    },
+    ignoreSelectors: {
+      path: 'IGNORE_SELECTORS',
+      type: 'selectorList',
+      section: 'Selection',
+      label: 'Never look up text inside',
+      description: 'One CSS selector per line',
+    },
+    editableEnabled: {
+      path: 'EDITABLE.ENABLED',
+      type: 'boolean',
+      section: 'Selection',
+      label: 'Look up words in text fields and editors',
+      description: 'Select a word, or press the shortcut with the caret in it, to define it and replace it with a synonym (undo with Ctrl+Z)',
+    },
+    language: {
+      path: 'LANGUAGE.OVERRIDE',
+      type: 'enum',
+      options: LANGUAGE_OPTIONS,
+      section: 'Language',
+      label: 'Lookup language',
+    },
+    popupMinWidth: {
+      path: 'UI.POPUP.MIN_WIDTH',
+      type: 'integer',
+      min: 200,
+      max: 800,
+      section: 'Popup',
+      label: 'Minimum width (px)',
+    },
+    popupMaxWidth: {
+      path: 'UI.POPUP.MAX_WIDTH',
+      type: 'integer',
+      min: 200,
+      max: 1000,
+      section: 'Popup',
+      label: 'Maximum width (px)',
+    },
+    popupMaxHeight: {
+      path: 'UI.POPUP.MAX_HEIGHT',
+      type: 'integer',
+      min: 150,
+      max: 1200,
+      section: 'Popup',
+      label: 'Maximum height (px)',
+    },
+    popupTheme: {
+      path: 'UI.POPUP.THEME',
+      type: 'enum',
+      options: THEME_OPTIONS,
+      section: 'Popup',
+      label: 'Theme',
+    },
+    popupFontSize: {
+      path: 'UI.POPUP.FONT_SIZE',
+      type: 'integer',
+      min: 10,
+      max: 24,
+      section: 'Popup',
+      label: 'Font size (px)',
+    },
+    popupFontFamily: {
+      path: 'UI.POPUP.FONT_FAMILY',
+      type: 'enum',
+      options: FONT_FAMILY_OPTIONS,
+      section: 'Popup',
+      label: 'Font',
+    },
+    definitionsPerMeaning: {
+      path: 'UI.POPUP.DEFINITIONS_PER_MEANING',
+      type: 'integer',
+      min: 1,
+      max: 20,
+      section: 'Popup',
+      label: 'Definitions per part of speech',
+      description: 'Further definitions are behind "Show more"',
+    },
+    senseRanking: {
+      path: 'SENSE_RANKING.ENABLED',
+      type: 'boolean',
+      section: 'Popup',
+      label: 'Put the meaning that fits the sentence first',
+      description: 'Ranks meanings by the words around your selection and highlights the likely one',
+    },
+    expandDefinitions: {
+      path: 'UI.POPUP.EXPAND_DEFINITIONS',
+      type: 'boolean',
+      section: 'Popup',
+      label: 'Show all definitions',
+      description: 'Also changes when you click "Show more" or "Show less" in the popup',
+    },
+    pronunciationAccent: {
+      path: 'PRONUNCIATION.ACCENT',
+      type: 'enum',
+      options: ACCENT_OPTIONS,
+      section: 'Pronunciation',
+      label: 'Preferred accent',
+      description: 'Used for English recordings and voices when available',
+    },
+    pronunciationVoice: {
+      path: 'PRONUNCIATION.VOICE',
+      type: 'text',
+      maxLength: 100,
+      suggestions: 'voices',
+      section: 'Pronunciation',
+      label: 'Voice for words without a recording',
+      description: 'Name of a voice on this device; leave empty to pick one by language and accent',
+    },
+    pronunciationSpeed: {
+      path: 'PRONUNCIATION.RATE',
+      type: 'integer',
+      min: 50,
+      max: 200,
+      scale: 0.01,
+      section: 'Pronunciation',
+      label: 'Playback speed (%)',
+    },
+    speechFallback: {
+      path: 'PRONUNCIATION.SPEECH_FALLBACK',
+      type: 'boolean',
+      section: 'Pronunciation',
+      label: 'Speak words that have no recording',
+    },
+    historyEnabled: {
+      path: 'HISTORY.ENABLED',
+      type: 'boolean',
+      section: 'History',
+      label: 'Record lookup history',
+    },
+    cacheTtl: {
+      path: 'DICTIONARY.CACHE.TTL',
+      type: 'integer',
+      min: 1,
+      max: 1440,
+      scale: 60000,
+      section: 'Cache',
+      label: 'In-memory cache lifetime (minutes)',
+    },
+  };
+
+  /**
+   * Read a dotted path from an object
+   * @param {Object} obj - Source object
+   * @param {string} path - Dotted path (e.g. 'UI.POPUP.MAX_WIDTH')
+   * @returns {*} Value at path
+   */
+  function getPath(obj, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+  }
+
+  /**
+   * Write a dotted path on an object
+   * @param {Object} obj - Target object
+   * @param {string} path - Dotted path
+   * @param {*} value - Value to write
+   */
+  function setPath(obj, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((node, key) => node[key], obj);
+    target[last] = value;
+  }
+
+  /**
+   * Check whether a string is a valid CSS selector
+   * @param {string} selector - Selector to test
+   * @returns {boolean} True if valid
+   */
+  function isValidSelector(selector) {
+    if (typeof document === 'undefined') {
+      return true;
+    }
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Parse a site rule from its text form ("example.com disable",
+   * "docs.google.com/* enable hover") or validate a stored rule object
+   * @param {string|Object} value - Rule line or rule object
+   * @returns {{rule?: Object, error?: string}} Parsed rule or error message
+   */
+  function parseSiteRule(value) {
+    const parts = typeof value === 'string'
+      ? value.trim().split(/\s+/)
+      : [value && value.pattern, value && value.action, value && value.trigger].filter(part => part !== undefined);
+    const [pattern, action, trigger] = parts;
+
+    if (typeof pattern !== 'string' || !/^[^\s]+$/.test(pattern) || parts.length > 3) {
+      return { error: 'Expected: pattern enable|disable [trigger]' };
+    }
+    if (action !== 'enable' && action !== 'disable') {
+      return { error: `Expected enable or disable after ${pattern}` };
+    }
+    if (trigger !== undefined && !TRIGGER_MODE_OPTIONS.some(option => option.value === trigger)) {
+      return { error: `Unknown trigger: ${trigger}` };
+    }
+    return { rule: trigger === undefined ? { pattern, action } : { pattern, action, trigger } };
+  }
+
+  /**
+   * Format a site rule as a line of text
+   * @param {Object} rule - Site rule
+   * @returns {string} Rule line
+   */
+  function formatSiteRule(rule) {
+    return [rule.pattern, rule.action, rule.trigger].filter(Boolean).join(' ');
+  }
+
+  /**
+   * Validate a single value against its schema entry
+   * @param {Object} field - Schema entry
+   * @param {*} value - Candidate value
+   * @returns {{value?: *, error?: string}} Coerced value or error message
+   */
+  function validateField(field, value) {
+    switch (field.type) {
+      case 'integer': {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (!Number.isInteger(number)) {
+          return { error: 'Must be a whole number' };
+        }
+        if (number < field.min || number > field.max) {
+          return { error: `Must be between ${field.min} and ${field.max}` };
+        }
+        return { value: number };
+      }
+      case 'boolean':
+        return typeof value === 'boolean' ? { value } : { error: 'Must be on or off' };
+      case 'text':
+        if (typeof value !== 'string') {
+          return { error: 'Must be text' };
+        }
+        return value.trim().length > field.maxLength
+          ? { error: `Must be at most ${field.maxLength} characters` }
+          : { value: value.trim() };
+      case 'enum':
+        return field.options.some(option => option.value === value)
+          ? { value }
+          : { error: 'Unknown option' };
+      case 'selectorList': {
+        if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+          return { error: 'Must be a list of selectors' };
+        }
+        const selectors = value.map(item => item.trim()).filter(Boolean);
+        const invalid = selectors.find(selector => !isValidSelector(selector));
+        return invalid ? { error: `Invalid selector: ${invalid}` } : { value: selectors };
+      }
+      case 'siteRuleList': {
+        if (!Array.isArray(value)) {
+          return { error: 'Must be a list of rules' };
+        }
+        const rules = [];
+        for (const item of value) {
+          if (typeof item === 'string' && !item.trim()) {
+            continue;
+          }
+          const { rule, error } = parseSiteRule(item);
+          if (error) {
+            return { error };
+          }
+          rules.push(rule);
+        }
+        return rules.length > field.maxItems
+          ? { error: `Must be at most ${field.maxItems} rules` }
+          : { value: rules };
+      }
+      default:
+        return { error: 'Unsupported setting type' };
+    }
+  }
+
+  /**
+   * Get the default settings derived from a config object
+   * @param {Object} baseConfig - QUICKDEFINE_CONFIG
+   * @returns {Object} Settings keyed by schema name
+   */
+  function getDefaultSettings(baseConfig) {
+    const defaults = {};
+    for (const [key, field] of Object.entries(SETTINGS_SCHEMA)) {
+      const value = getPath(baseConfig, field.path);
+      defaults[key] = field.scale ? value / field.scale : value;
+    }
+    return defaults;
+  }
+
+  /**
+   * Get the size chrome.storage.sync counts for the settings item
+   * @param {Object} settings - Settings object
+   * @returns {number} Size in bytes
+   */
+  function getStoredSize(settings) {
+    return new TextEncoder().encode(STORAGE_KEY + JSON.stringify(settings)).length;
+  }
+
+  /**
+   * Validate raw settings. Unknown keys are dropped and invalid values are
+   * reported and left out, so callers fall back to defaults for them.
+   * Settings too large for one sync item lose their longest values.
+   * @param {Object} raw - Raw settings object
+   * @returns {{settings: Object, errors: Object}} Valid settings and errors by key
+   */
+  function validateSettings(raw) {
+    const settings = {};
+    const errors = {};
+    if (!raw || typeof raw !== 'object') {
+      return { settings, errors };
+    }
+
+    for (const [key, field] of Object.entries(SETTINGS_SCHEMA)) {
+      if (!(key in raw)) {
+        continue;
+      }
+      const result = validateField(field, raw[key]);
+      if (result.error) {
+        errors[key] = result.error;
+      } else {
+        settings[key] = result.value;
+      }
+    }
+
+    if ('popupMinWidth' in settings && 'popupMaxWidth' in settings &&
+        settings.popupMinWidth > settings.popupMaxWidth) {
+      errors.popupMinWidth = 'Must not exceed the maximum width';
+      delete settings.popupMinWidth;
+    }
+
+    while (getStoredSize(settings) > QUOTA_BYTES_PER_ITEM) {
+      const longest = Object.keys(settings).reduce((a, b) => (
+        JSON.stringify(settings[a]).length >= JSON.stringify(settings[b]).length ? a : b
+      ));
+      errors[longest] = OVER_QUOTA_ERROR;
+      delete settings[longest];
+    }
+
+    return { settings, errors };
+  }
+
+  /**
+   * Merge settings over a config, returning a new config
+   * @param {Object} baseConfig - QUICKDEFINE_CONFIG defaults
+   * @param {Object} settings - Validated settings
+   * @returns {Object} Effective configuration
+   */
+  function applySettings(baseConfig, settings) {
+    const config = JSON.parse(JSON.stringify(baseConfig));
+    for (const [key, value] of Object.entries(settings)) {
+      const field = SETTINGS_SCHEMA[key];
+      if (field) {
+        setPath(config, field.path, field.scale ? value * field.scale : value);
+      }
+    }
+    return config;
+  }
+
+  /**
+   * Read validated settings from chrome.storage.sync
+   * @returns {Promise<Object>} Valid stored settings (may be empty); rejects
+   *   if storage can't be read
+   */
+  async function readSettings() {
+    const stored = await chrome.storage.sync.get(STORAGE_KEY);
+    const { settings, errors } = validateSettings(stored[STORAGE_KEY]);
+    if (Object.keys(errors).length > 0) {
+      console.warn('QuickDefine: Ignoring invalid settings', errors);
+    }
+    return settings;
+  }
+
+  /**
+   * Load validated settings from chrome.storage.sync
+   * @returns {Promise<Object>} Valid stored settings (empty if they can't be read)
+   */
+  async function loadSettings() {
+    try {
+      return await readSettings();
+    } catch (error) {
+      console.warn('QuickDefine: Failed to load settings', error);
+      return {};
+    }
+  }
+
+  /**
+   * Validate and persist settings to chrome.storage.sync
+   * @param {Object} raw - Settings to save
+   * @returns {Promise<Object>} Validation errors by key (empty when saved)
+   */
+  async function saveSettings(raw) {
+    const { settings, errors } = validateSettings(raw);
+    if (Object.keys(errors).length > 0) {
+      return errors;
+    }
+    await chrome.storage.sync.set({ [STORAGE_KEY]: settings });
+    return {};
+  }
+
+  /**
+   * Validate and persist some settings, leaving the others as stored.
+   * Rejects without writing if the stored settings can't be read, since
+   * saving over them would reset every other setting.
+   * @param {Object} changes - Settings to change
+   * @returns {Promise<Object>} Validation errors by key (empty when saved)
+   */
+  async function updateSettings(changes) {
+    const { settings, errors } = validateSettings(changes);
+    if (Object.keys(errors).length > 0) {
+      return errors;
+    }
+    // Merge into the raw stored object: validated settings drop invalid keys
+    const stored = (await chrome.storage.sync.get(STORAGE_KEY))[STORAGE_KEY];
+    const current = stored && typeof stored === 'object' ? stored : {};
+    const merged = { ...current, ...settings };
+    if (getStoredSize(merged) > QUOTA_BYTES_PER_ITEM) {
+      return Object.fromEntries(Object.keys(settings).map(key => [key, OVER_QUOTA_ERROR]));
+    }
+    await chrome.storage.sync.set({ [STORAGE_KEY]: merged });
+    return {};
+  }
+
+  /**
+   * Subscribe to settings changes from any extension context
+   * @param {Function} callback - Receives the new validated settings
+   * @returns {Function} Unsubscribe function
+   */
+  function onSettingsChanged(callback) {
+    const listener = (changes, areaName) => {
+      if (areaName === 'sync' && changes[STORAGE_KEY]) {
+        callback(validateSettings(changes[STORAGE_KEY].newValue).settings);
+      }
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  }
+
+  // Export settings API to global scope (shared by content scripts, extension pages and the service worker)
+  globalThis.QuickDefineSettings = {
+    STORAGE_KEY,
+    SETTINGS_SCHEMA,
+    formatSiteRule,
+    getDefaultSettings,
+    validateSettings,
+    applySettings,
+    readSettings,
+    loadSettings,
+    saveSettings,
+    updateSettings,
+    onSettingsChanged,
+  };
+})();
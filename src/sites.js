@@ -0,0 +1,140 @@
+/**
+ * QuickDefine - Site Rules
+ * Per-domain and URL-pattern rules that enable or disable QuickDefine and
+ * override the lookup trigger on matching pages
+ */
+
+(function() {
+  'use strict';
+
+  /**
+   * @typedef {Object} SiteRule
+   * @property {string} pattern - Domain (example.com, also matches subdomains)
+   *   or URL pattern with * wildcards (docs.google.com/spreadsheets/*)
+   * @property {string} action - 'enable' | 'disable'
+   * @property {string} [trigger] - Trigger mode override (see TRIGGER.MODE)
+   */
+
+  /**
+   * Check whether a rule pattern is a URL pattern rather than a domain
+   * @param {string} pattern - Rule pattern
+   * @returns {boolean} True for URL patterns
+   */
+  function isUrlPattern(pattern) {
+    return pattern.includes('/');
+  }
+
+  /**
+   * Get the hostname of a page QuickDefine can run on
+   * @param {string} url - Page URL
+   * @returns {string} Hostname, or '' for non-web pages
+   */
+  function getSiteHostname(url) {
+    try {
+      const { protocol, hostname } = new URL(url);
+      return protocol === 'http:' || protocol === 'https:' ? hostname : '';
+    } catch (error) {
+      return '';
+    }
+  }
+
+  /**
+   * Check whether a rule matches a URL
+   * @param {SiteRule} rule - Site rule
+   * @param {string} url - Page URL
+   * @returns {boolean} True if the rule applies
+   */
+  function matchesRule(rule, url) {
+    const hostname = getSiteHostname(url);
+    if (!hostname) {
+      return false;
+    }
+
+    if (isUrlPattern(rule.pattern)) {
+      // Patterns without a scheme match any scheme
+      const target = rule.pattern.includes('://') ? url : url.replace(/^https?:\/\//, '');
+      const source = rule.pattern
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+      return new RegExp(`^${source}$`, 'i').test(target);
+    }
+
+    const domain = rule.pattern.replace(/^\*\./, '').toLowerCase();
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+  }
+
+  /**
+   * Rank a rule so that the most specific match wins: URL patterns beat
+   * domains, and longer patterns beat shorter ones
+   * @param {SiteRule} rule - Site rule
+   * @returns {number} Specificity
+   */
+  function getSpecificity(rule) {
+    const literalLength = rule.pattern.replace(/\*/g, '').length;
+    return isUrlPattern(rule.pattern) ? 10000 + literalLength : literalLength;
+  }
+
+  /**
+   * Find the most specific rule matching a URL
+   * @param {SiteRule[]} rules - Site rules
+   * @param {string} url - Page URL
+   * @returns {SiteRule|null} Matching rule
+   */
+  function findSiteRule(rules, url) {
+    let best = null;
+    for (const rule of rules) {
+      if (matchesRule(rule, url) && (!best || getSpecificity(rule) > getSpecificity(best))) {
+        best = rule;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Resolve whether QuickDefine runs on a page and with which trigger
+   * @param {Object} config - Effective QuickDefine configuration
+   * @param {string} url - Page URL
+   * @returns {{enabled: boolean, trigger: string, rule: SiteRule|null}} Site state
+   */
+  function getSiteState(config, url) {
+    const rule = findSiteRule(config.SITES.RULES, url);
+    return {
+      enabled: rule ? rule.action === 'enable' : config.SITES.ENABLED_BY_DEFAULT,
+      trigger: (rule && rule.trigger) || config.TRIGGER.MODE,
+      rule,
+    };
+  }
+
+  /**
+   * Turn QuickDefine on or off for a page. Flips the rule that decides the
+   * page if it is a URL pattern or names the page's domain, otherwise adds a
+   * rule for the domain (which outranks broader domain rules).
+   * @param {Object} config - Effective QuickDefine configuration
+   * @param {string} url - Page URL
+   * @returns {SiteRule[]|null} Updated rules, or null for non-web pages
+   */
+  function toggleSite(config, url) {
+    const hostname = getSiteHostname(url);
+    if (!hostname) {
+      return null;
+    }
+
+    const domain = hostname.replace(/^www\./, '');
+    const { enabled, rule } = getSiteState(config, url);
+    const action = enabled ? 'disable' : 'enable';
+    if (rule && (isUrlPattern(rule.pattern) || rule.pattern.replace(/^\*\./, '').toLowerCase() === domain)) {
+      return config.SITES.RULES.map(item => (item === rule ? { ...item, action } : item));
+    }
+    return [...config.SITES.RULES, { pattern: domain, action }];
+  }
+
+  // Export site rules to global scope (shared by content scripts and the service worker)
+  globalThis.QuickDefineSites = {
+    getSiteHostname,
+    matchesRule,
+    findSiteRule,
+    getSiteState,
+    toggleSite,
+  };
+})();
@@ -0,0 +1,129 @@
+/**
+ * QuickDefine - Spaced Repetition
+ * SM-2 style scheduling for reviewing saved vocabulary
+ */
+
+(function() {
+  'use strict';
+
+  const DAY = 86400000;
+  const DEFAULT_EASE = 2.5;
+  const MIN_EASE = 1.3;
+  const RELEARN_DELAY = 600000; // Failed cards come back after 10 minutes
+  const MAX_GRADE_LOG = 50;
+
+  // SM-2 response quality (0-5) for each grade button
+  const GRADE_QUALITY = {
+    fail: 1,
+    pass: 4,
+  };
+
+  /**
+   * @typedef {Object} ReviewCard
+   * @property {number} repetitions - Consecutive successful reviews
+   * @property {number} interval - Current interval in days
+   * @property {number} ease - Ease factor (>= 1.3)
+   * @property {number} due - Next review time (ms since epoch)
+   * @property {number} lapses - Number of failed reviews
+   * @property {Array<{at: number, grade: string}>} grades - Recent grades, newest last
+   */
+
+  /**
+   * Create a new card, due immediately
+   * @param {number} now - Current time (ms since epoch)
+   * @returns {ReviewCard} New card
+   */
+  function createCard(now = Date.now()) {
+    return {
+      repetitions: 0,
+      interval: 0,
+      ease: DEFAULT_EASE,
+      due: now,
+      lapses: 0,
+      grades: [],
+    };
+  }
+
+  /**
+   * Schedule a card after a review
+   * @param {ReviewCard|undefined} card - Current card (a new one is created if missing)
+   * @param {string} grade - 'pass' | 'fail'
+   * @param {number} now - Current time (ms since epoch)
+   * @returns {ReviewCard} Updated card
+   */
+  function gradeCard(card, grade, now = Date.now()) {
+    const quality = GRADE_QUALITY[grade];
+    if (quality === undefined) {
+      throw new Error(`QuickDefine: Unknown review grade "${grade}"`);
+    }
+
+    const current = card || createCard(now);
+    const next = { ...current };
+
+    if (quality < 3) {
+      next.repetitions = 0;
+      next.interval = 0;
+      next.lapses = current.lapses + 1;
+      next.due = now + RELEARN_DELAY;
+    } else {
+      next.repetitions = current.repetitions + 1;
+      if (next.repetitions === 1) {
+        next.interval = 1;
+      } else if (next.repetitions === 2) {
+        next.interval = 6;
+      } else {
+        next.interval = Math.round(current.interval * current.ease);
+      }
+      next.due = now + next.interval * DAY;
+    }
+
+    const penalty = 5 - quality;
+    next.ease = Math.max(MIN_EASE, current.ease + 0.1 - penalty * (0.08 + penalty * 0.02));
+    next.grades = [...current.grades, { at: now, grade }].slice(-MAX_GRADE_LOG);
+
+    return next;
+  }
+
+  /**
+   * Check whether a vocabulary item is due for review
+   * Items that were never reviewed are due immediately.
+   * @param {Object} item - Vocabulary item with optional `review` card
+   * @param {number} now - Current time (ms since epoch)
+   * @returns {boolean} True if due
+   */
+  function isDue(item, now = Date.now()) {
+    return !item.review || item.review.due <= now;
+  }
+
+  /**
+   * Get due items, most overdue first
+   * @param {Array<Object>} items - Vocabulary items
+   * @param {number} now - Current time (ms since epoch)
+   * @returns {Array<Object>} Due items
+   */
+  function getDueItems(items, now = Date.now()) {
+    return items
+      .filter(item => isDue(item, now))
+      .sort((a, b) => (a.review ? a.review.due : a.savedAt) - (b.review ? b.review.due : b.savedAt));
+  }
+
+  /**
+   * Get the time of the next upcoming review
+   * @param {Array<Object>} items - Vocabulary items
+   * @returns {number|null} Earliest due time, or null if nothing is scheduled
+   */
+  function getNextDue(items) {
+    const times = items.map(item => (item.review ? item.review.due : item.savedAt));
+    return times.length > 0 ? Math.min(...times) : null;
+  }
+
+  // Export to global scope (shared by extension pages and the service worker)
+  globalThis.QuickDefineSRS = {
+    GRADE_QUALITY,
+    createCard,
+    gradeCard,
+    isDue,
+    getDueItems,
+    getNextDue,
+  };
+})();
@@ -11,25 +11,129 @@ var QUICKDEFINE_STYLES = `
     padding: 0;
   }
 
+  /* Themes: light by default, dark when the system prefers it */
+  .quickdefine-container {
+    --quickdefine-bg: #ffffff;
+    --quickdefine-text: #1d1d1f;
+    --quickdefine-text-muted: #666;
+    --quickdefine-text-faint: #999;
+    --quickdefine-border: #e0e0e0;
+    --quickdefine-divider: #f0f0f0;
+    --quickdefine-surface: #f0f0f0;
+    --quickdefine-surface-active: #e0e0e0;
+    --quickdefine-accent: #007aff;
+    --quickdefine-highlight: #ff9500;
+    --quickdefine-shadow: rgba(0, 0, 0, 0.15);
+    --quickdefine-scrollbar: #c0c0c0;
+    --quickdefine-scrollbar-hover: #a0a0a0;
+  }
+
+  .quickdefine-container[data-theme="dark"] {
+    --quickdefine-bg: #1c1c1e;
+    --quickdefine-text: #f5f5f7;
+    --quickdefine-text-muted: #aeaeb2;
+    --quickdefine-text-faint: #8e8e93;
+    --quickdefine-border: #3a3a3c;
+    --quickdefine-divider: #2c2c2e;
+    --quickdefine-surface: #2c2c2e;
+    --quickdefine-surface-active: #3a3a3c;
+    --quickdefine-accent: #0a84ff;
+    --quickdefine-highlight: #ff9f0a;
+    --quickdefine-shadow: rgba(0, 0, 0, 0.5);
+    --quickdefine-scrollbar: #48484a;
+    --quickdefine-scrollbar-hover: #636366;
+  }
+
+  @media (prefers-color-scheme: dark) {
+    .quickdefine-container[data-theme="auto"] {
+      --quickdefine-bg: #1c1c1e;
+      --quickdefine-text: #f5f5f7;
+      --quickdefine-text-muted: #aeaeb2;
+      --quickdefine-text-faint: #8e8e93;
+      --quickdefine-border: #3a3a3c;
+      --quickdefine-divider: #2c2c2e;
+      --quickdefine-surface: #2c2c2e;
+      --quickdefine-surface-active: #3a3a3c;
+      --quickdefine-accent: #0a84ff;
+      --quickdefine-highlight: #ff9f0a;
+      --quickdefine-shadow: rgba(0, 0, 0, 0.5);
+      --quickdefine-scrollbar: #48484a;
+      --quickdefine-scrollbar-hover: #636366;
+    }
+  }
+
+  .quickdefine-container[data-theme="sepia"] {
+    --quickdefine-bg: #f4ecd8;
+    --quickdefine-text: #433422;
+    --quickdefine-text-muted: #6f5b44;
+    --quickdefine-text-faint: #8f7a61;
+    --quickdefine-border: #dccfb0;
+    --quickdefine-divider: #e6dbc2;
+    --quickdefine-surface: #e9dfc7;
+    --quickdefine-surface-active: #dccfb0;
+    --quickdefine-accent: #9c5b12;
+    --quickdefine-highlight: #c0392b;
+    --quickdefine-shadow: rgba(67, 52, 34, 0.2);
+    --quickdefine-scrollbar: #cdbd98;
+    --quickdefine-scrollbar-hover: #b8a47a;
+  }
+
+  .quickdefine-container[data-theme="high-contrast"] {
+    --quickdefine-bg: #000000;
+    --quickdefine-text: #ffffff;
+    --quickdefine-text-muted: #ffffff;
+    --quickdefine-text-faint: #e0e0e0;
+    --quickdefine-border: #ffffff;
+    --quickdefine-divider: #ffffff;
+    --quickdefine-surface: #000000;
+    --quickdefine-surface-active: #333333;
+    --quickdefine-accent: #ffff00;
+    --quickdefine-highlight: #00ffff;
+    --quickdefine-shadow: transparent;
+    --quickdefine-scrollbar: #ffffff;
+    --quickdefine-scrollbar-hover: #ffff00;
+  }
+
+  .quickdefine-container[data-theme="high-contrast"] .quickdefine-card {
+    border-width: 2px;
+  }
+
+  .quickdefine-container[data-theme="high-contrast"] button {
+    border: 1px solid var(--quickdefine-accent);
+  }
+
   .quickdefine-container {
     position: absolute;
     z-index: 2147483647;
-    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
-    font-size: 14px;
+    font-family: var(--quickdefine-font-family, -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif);
+    font-size: var(--quickdefine-font-size, 14px);
     line-height: 1.5;
-    color: #1d1d1f;
+    color: var(--quickdefine-text);
     pointer-events: auto;
   }
 
+  .quickdefine-container:focus {
+    outline: none;
+  }
+
+  .quickdefine-sr-only {
+    position: absolute;
+    width: 1px;
+    height: 1px;
+    overflow: hidden;
+    clip: rect(0, 0, 0, 0);
+    white-space: nowrap;
+  }
+
   .quickdefine-card {
-    background: #ffffff;
-    border: 1px solid #e0e0e0;
+    background: var(--quickdefine-bg);
+    border: 1px solid var(--quickdefine-border);
     border-radius: 12px;
-    box-shadow: 0 4px 20px rgba(0, 0, 0, 0.15);
+    box-shadow: 0 4px 20px var(--quickdefine-shadow);
     padding: 16px;
-    min-width: 280px;
-    max-width: 400px;
-    max-height: 500px;
+    min-width: var(--quickdefine-min-width, 280px);
+    max-width: var(--quickdefine-max-width, 400px);
+    max-height: var(--quickdefine-max-height, 500px);
     overflow-y: auto;
     animation: quickdefine-fade-in 0.2s ease-out;
   }
@@ -51,14 +155,14 @@ var QUICKDEFINE_STYLES = `
     align-items: center;
     justify-content: center;
     padding: 24px;
-    color: #666;
+    color: var(--quickdefine-text-muted);
   }
 
   .quickdefine-spinner {
     width: 20px;
     height: 20px;
-    border: 2px solid #e0e0e0;
-    border-top-color: #007aff;
+    border: 2px solid var(--quickdefine-border);
+    border-top-color: var(--quickdefine-accent);
     border-radius: 50%;
     animation: quickdefine-spin 0.6s linear infinite;
     margin-right: 8px;
@@ -74,22 +178,51 @@ var QUICKDEFINE_STYLES = `
   .quickdefine-header {
     margin-bottom: 12px;
     padding-bottom: 12px;
-    border-bottom: 1px solid #f0f0f0;
+    border-bottom: 1px solid var(--quickdefine-divider);
   }
 
   .quickdefine-word {
-    font-size: 20px;
+    font-size: calc(var(--quickdefine-font-size, 14px) + 6px);
     font-weight: 600;
-    color: #1d1d1f;
+    color: var(--quickdefine-text);
     margin-bottom: 4px;
     display: flex;
     align-items: center;
     gap: 8px;
   }
 
+  .quickdefine-lemma-from {
+    font-weight: 400;
+    color: var(--quickdefine-text-muted);
+  }
+
+  .quickdefine-lemma-arrow {
+    font-weight: 400;
+    color: var(--quickdefine-text-faint);
+  }
+
+  .quickdefine-lang-badge {
+    font-size: calc(var(--quickdefine-font-size, 14px) - 4px);
+    font-weight: 600;
+    letter-spacing: 0.5px;
+    color: var(--quickdefine-text-muted);
+    background: var(--quickdefine-surface);
+    border-radius: 4px;
+    padding: 1px 5px;
+  }
+
+  .quickdefine-offline-badge {
+    font-size: calc(var(--quickdefine-font-size, 14px) - 4px);
+    font-weight: 600;
+    color: var(--quickdefine-text-muted);
+    border: 1px solid var(--quickdefine-border);
+    border-radius: 4px;
+    padding: 0 5px;
+  }
+
   .quickdefine-phonetic {
-    font-size: 13px;
-    color: #666;
+    font-size: calc(var(--quickdefine-font-size, 14px) - 1px);
+    color: var(--quickdefine-text-muted);
     font-style: italic;
     margin-top: 2px;
   }
@@ -102,8 +235,11 @@ var QUICKDEFINE_STYLES = `
     margin-left: auto;
   }
 
+  .quickdefine-save-btn,
   .quickdefine-audio-btn,
-  .quickdefine-copy-btn {
+  .quickdefine-copy-btn,
+  .quickdefine-pin-btn,
+  .quickdefine-close-btn {
     background: none;
     border: none;
     cursor: pointer;
@@ -112,19 +248,29 @@ var QUICKDEFINE_STYLES = `
     display: inline-flex;
     align-items: center;
     justify-content: center;
-    color: #007aff;
-    font-size: 16px;
+    color: var(--quickdefine-accent);
+    font-size: calc(var(--quickdefine-font-size, 14px) + 2px);
     transition: background-color 0.2s, color 0.2s;
   }
 
+  .quickdefine-save-btn:hover,
   .quickdefine-audio-btn:hover,
-  .quickdefine-copy-btn:hover {
-    background-color: #f0f0f0;
+  .quickdefine-copy-btn:hover,
+  .quickdefine-pin-btn:hover,
+  .quickdefine-close-btn:hover {
+    background-color: var(--quickdefine-surface);
   }
 
+  .quickdefine-save-btn:active,
   .quickdefine-audio-btn:active,
-  .quickdefine-copy-btn:active {
-    background-color: #e0e0e0;
+  .quickdefine-copy-btn:active,
+  .quickdefine-pin-btn:active,
+  .quickdefine-close-btn:active {
+    background-color: var(--quickdefine-surface-active);
+  }
+
+  .quickdefine-save-btn[aria-pressed="true"] {
+    color: var(--quickdefine-highlight);
   }
 
   /* Definitions Section */
@@ -140,10 +286,56 @@ var QUICKDEFINE_STYLES = `
     margin-bottom: 0;
   }
 
+  .quickdefine-meaning:focus {
+    outline: 2px solid var(--quickdefine-accent);
+    outline-offset: 4px;
+    border-radius: 4px;
+  }
+
+  .quickdefine-more-btn {
+    background: none;
+    border: none;
+    padding: 0;
+    margin-left: 16px;
+    font: inherit;
+    font-size: calc(var(--quickdefine-font-size, 14px) - 2px);
+    color: var(--quickdefine-accent);
+    cursor: pointer;
+  }
+
+  .quickdefine-more-btn:hover {
+    text-decoration: underline;
+  }
+
+  /* Part-of-speech filter */
+  .quickdefine-pos-filter {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 4px;
+    margin-bottom: 12px;
+  }
+
+  .quickdefine-pos-chip {
+    background: none;
+    border: 1px solid var(--quickdefine-border);
+    border-radius: 10px;
+    padding: 0 8px;
+    font: inherit;
+    font-size: calc(var(--quickdefine-font-size, 14px) - 2px);
+    color: var(--quickdefine-text-muted);
+    cursor: pointer;
+  }
+
+  .quickdefine-pos-chip[aria-pressed="true"] {
+    background: var(--quickdefine-accent);
+    border-color: var(--quickdefine-accent);
+    color: var(--quickdefine-bg);
+  }
+
   .quickdefine-part-of-speech {
-    font-size: 12px;
+    font-size: calc(var(--quickdefine-font-size, 14px) - 2px);
     font-weight: 600;
-    color: #007aff;
+    color: var(--quickdefine-accent);
     text-transform: uppercase;
     letter-spacing: 0.5px;
     margin-bottom: 8px;
@@ -164,27 +356,156 @@ var QUICKDEFINE_STYLES = `
     content: "•";
     position: absolute;
     left: 0;
-    color: #007aff;
+    color: var(--quickdefine-accent);
     font-weight: bold;
   }
 
+  .quickdefine-definition-likely {
+    background: var(--quickdefine-surface);
+    border-radius: 6px;
+    padding-top: 4px;
+    padding-bottom: 4px;
+    padding-right: 6px;
+  }
+
+  .quickdefine-definition-likely::before {
+    top: 4px;
+  }
+
+  .quickdefine-likely-label {
+    display: block;
+    font-size: calc(var(--quickdefine-font-size, 14px) - 3px);
+    font-weight: 600;
+    color: var(--quickdefine-accent);
+    text-transform: uppercase;
+    letter-spacing: 0.5px;
+  }
+
   .quickdefine-definition-text {
-    color: #1d1d1f;
+    color: var(--quickdefine-text);
   }
 
   .quickdefine-example {
     margin-top: 4px;
     padding-left: 16px;
     font-style: italic;
-    color: #666;
-    font-size: 13px;
+    color: var(--quickdefine-text-muted);
+    font-size: calc(var(--quickdefine-font-size, 14px) - 1px);
+  }
+
+  /* Homograph entries */
+  .quickdefine-entry + .quickdefine-entry {
+    margin-top: 16px;
+    padding-top: 12px;
+    border-top: 1px solid var(--quickdefine-divider);
+  }
+
+  .quickdefine-entry-heading {
+    display: flex;
+    align-items: baseline;
+    gap: 8px;
+    margin-bottom: 8px;
+  }
+
+  .quickdefine-entry-word {
+    font-weight: 600;
+  }
+
+  .quickdefine-entry-word sup {
+    font-size: 0.7em;
+    color: var(--quickdefine-text-faint);
+  }
+
+  /* Synonyms and antonyms */
+  .quickdefine-related {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 4px;
+    margin-top: 6px;
+  }
+
+  .quickdefine-related-label {
+    font-size: calc(var(--quickdefine-font-size, 14px) - 3px);
+    color: var(--quickdefine-text-faint);
+    margin-right: 2px;
+  }
+
+  .quickdefine-chip {
+    background: var(--quickdefine-surface);
+    border: none;
+    border-radius: 10px;
+    padding: 0 8px;
+    font: inherit;
+    font-size: calc(var(--quickdefine-font-size, 14px) - 2px);
+    color: var(--quickdefine-accent);
+    cursor: pointer;
+  }
+
+  .quickdefine-chip:hover {
+    background: var(--quickdefine-surface-active);
+  }
+
+  /* Back/forward history */
+  .quickdefine-nav {
+    display: flex;
+    align-items: center;
+    gap: 4px;
+    margin-bottom: 8px;
+    font-size: calc(var(--quickdefine-font-size, 14px) - 2px);
+    color: var(--quickdefine-text-faint);
+  }
+
+  .quickdefine-back-btn,
+  .quickdefine-forward-btn {
+    background: none;
+    border: none;
+    border-radius: 6px;
+    padding: 0 6px;
+    font: inherit;
+    color: var(--quickdefine-accent);
+    cursor: pointer;
+  }
+
+  .quickdefine-back-btn:hover:not(:disabled),
+  .quickdefine-forward-btn:hover:not(:disabled) {
+    background-color: var(--quickdefine-surface);
+  }
+
+  .quickdefine-back-btn:disabled,
+  .quickdefine-forward-btn:disabled {
+    color: var(--quickdefine-text-faint);
+    cursor: default;
+  }
+
+  .quickdefine-nav-trail {
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+
+  .quickdefine-nav-trail strong {
+    color: var(--quickdefine-text-muted);
+  }
+
+  /* Source Attribution */
+  .quickdefine-source {
+    margin-top: 12px;
+    padding-top: 8px;
+    border-top: 1px solid var(--quickdefine-divider);
+    font-size: calc(var(--quickdefine-font-size, 14px) - 3px);
+    color: var(--quickdefine-text-faint);
+  }
+
+  .quickdefine-source-link {
+    color: inherit;
   }
 
   /* Error State */
   .quickdefine-error {
     padding: 24px;
     text-align: center;
-    color: #666;
+    color: var(--quickdefine-text-muted);
   }
 
   .quickdefine-error-icon {
@@ -194,7 +515,149 @@ var QUICKDEFINE_STYLES = `
   }
 
   .quickdefine-error-message {
-    font-size: 14px;
+    font-size: var(--quickdefine-font-size, 14px);
+  }
+
+  /* Replace with synonym */
+  .quickdefine-replace {
+    display: flex;
+    flex-wrap: wrap;
+    align-items: center;
+    gap: 6px;
+    margin-bottom: 12px;
+  }
+
+  .quickdefine-replace-label {
+    font-size: calc(var(--quickdefine-font-size, 14px) - 2px);
+    color: var(--quickdefine-text-faint);
+  }
+
+  .quickdefine-replace-btn {
+    background: var(--quickdefine-surface);
+    border: none;
+    border-radius: 12px;
+    padding: 2px 10px;
+    font: inherit;
+    font-size: calc(var(--quickdefine-font-size, 14px) - 1px);
+    color: var(--quickdefine-accent);
+    cursor: pointer;
+  }
+
+  .quickdefine-replace-btn:hover {
+    background: var(--quickdefine-surface-active);
+  }
+
+  /* Phrase split into its words */
+  .quickdefine-phrase-note {
+    font-size: calc(var(--quickdefine-font-size, 14px) - 2px);
+    color: var(--quickdefine-text-faint);
+    margin-bottom: 8px;
+  }
+
+  .quickdefine-phrase-words {
+    list-style: none;
+    margin: 0;
+    padding: 0;
+  }
+
+  .quickdefine-phrase-word {
+    margin-bottom: 8px;
+  }
+
+  .quickdefine-phrase-word .quickdefine-part-of-speech {
+    display: inline;
+    margin-left: 6px;
+  }
+
+  .quickdefine-phrase-word .quickdefine-definition-text {
+    margin-top: 2px;
+  }
+
+  /* Suggestions */
+  .quickdefine-suggestions {
+    margin-top: 12px;
+    display: flex;
+    flex-wrap: wrap;
+    justify-content: center;
+    gap: 6px;
+  }
+
+  .quickdefine-suggestions-label {
+    width: 100%;
+    font-size: calc(var(--quickdefine-font-size, 14px) - 2px);
+    color: var(--quickdefine-text-faint);
+  }
+
+  .quickdefine-suggestion {
+    background: var(--quickdefine-surface);
+    border: none;
+    border-radius: 12px;
+    padding: 2px 10px;
+    font: inherit;
+    font-size: calc(var(--quickdefine-font-size, 14px) - 1px);
+    color: var(--quickdefine-accent);
+    cursor: pointer;
+  }
+
+  .quickdefine-suggestion:hover {
+    background: var(--quickdefine-surface-active);
+  }
+
+  /* Pinned floating panel */
+  .quickdefine-pinned {
+    display: flex;
+    flex-direction: column;
+    background: var(--quickdefine-bg);
+    border: 1px solid var(--quickdefine-border);
+    border-radius: 12px;
+    box-shadow: 0 8px 30px var(--quickdefine-shadow);
+    overflow: hidden;
+  }
+
+  .quickdefine-panel-bar {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    padding: 4px 8px 4px 16px;
+    border-bottom: 1px solid var(--quickdefine-divider);
+    cursor: move;
+    user-select: none;
+    touch-action: none;
+  }
+
+  .quickdefine-panel-title {
+    font-size: calc(var(--quickdefine-font-size, 14px) - 2px);
+    font-weight: 600;
+    color: var(--quickdefine-text-faint);
+  }
+
+  .quickdefine-close-btn {
+    font-size: var(--quickdefine-font-size, 14px);
+  }
+
+  .quickdefine-pinned .quickdefine-content {
+    resize: both;
+    overflow: hidden;
+    min-width: 200px;
+    min-height: 100px;
+    max-width: 90vw;
+    max-height: 85vh;
+  }
+
+  .quickdefine-pinned .quickdefine-card {
+    width: 100%;
+    height: 100%;
+    min-width: 0;
+    max-width: none;
+    max-height: none;
+    border: none;
+    border-radius: 0;
+    box-shadow: none;
+    animation: none;
+  }
+
+  .quickdefine-pinned .quickdefine-pin-btn {
+    display: none;
   }
 
   /* Scrollbar Styling */
@@ -203,16 +666,16 @@ var QUICKDEFINE_STYLES = `
   }
 
   .quickdefine-card::-webkit-scrollbar-track {
-    background: #f0f0f0;
+    background: var(--quickdefine-surface);
     border-radius: 3px;
   }
 
   .quickdefine-card::-webkit-scrollbar-thumb {
-    background: #c0c0c0;
+    background: var(--quickdefine-scrollbar);
     border-radius: 3px;
   }
 
   .quickdefine-card::-webkit-scrollbar-thumb:hover {
-    background: #a0a0a0;
+    background: var(--quickdefine-scrollbar-hover);
   }
 `;
@@ -0,0 +1,181 @@
+/**
+ * QuickDefine - Spelling Suggestions
+ * "Did you mean" matching against a bundled word list using
+ * Damerau-Levenshtein edit distance and a simple phonetic key
+ */
+
+(function() {
+  'use strict';
+
+  /**
+   * Restricted Damerau-Levenshtein distance with an early exit
+   * @param {string} a - First word
+   * @param {string} b - Second word
+   * @param {number} max - Stop and return max + 1 once the distance exceeds this
+   * @returns {number} Edit distance (transpositions count as one edit)
+   */
+  function editDistance(a, b, max = Infinity) {
+    if (Math.abs(a.length - b.length) > max) {
+      return max + 1;
+    }
+
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let value = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + cost
+        );
+        if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          value = Math.min(value, previousPrevious[j - 2] + 1);
+        }
+        current[j] = value;
+        rowMin = Math.min(rowMin, value);
+      }
+      if (rowMin > max) {
+        return max + 1;
+      }
+      previousPrevious = previous;
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Simplified phonetic key (metaphone-like) so that "fonetik" matches "phonetic"
+   * @param {string} word - Lowercase word
+   * @returns {string} Phonetic key
+   */
+  function phoneticKey(word) {
+    const key = word
+      .replace(/[^a-z]/g, '')
+      .replace(/^(kn|gn|pn|wr)/, (m) => m[1])
+      .replace(/^x/, 's')
+      .replace(/^wh/, 'w')
+      .replace(/ph/g, 'f')
+      .replace(/ck/g, 'k')
+      .replace(/sch/g, 'sk')
+      .replace(/c(?=[eiy])/g, 's')
+      .replace(/[cq]/g, 'k')
+      .replace(/dg(?=[eiy])/g, 'j')
+      .replace(/gh(?![aeiou])/g, '')
+      .replace(/x/g, 'ks')
+      .replace(/z/g, 's')
+      .replace(/v/g, 'f');
+
+    // Keep the first letter, drop later vowels and collapse repeats
+    const first = key.charAt(0);
+    const rest = key.slice(1).replace(/[aeiouyhw]/g, '');
+    return (first + rest).replace(/(.)\1+/g, '$1');
+  }
+
+  /**
+   * Suggestion engine over a lazily loaded word list
+   * The list is one word per line; lines starting with "#" are comments.
+   * A "# size N" comment starts a band of less common words (the SCOWL
+   * size), so bands rank words by frequency but order within a band doesn't.
+   */
+  class SuggestionEngine {
+    /**
+     * @param {Function} loadWordList - Returns a Promise of the word list text
+     * @param {Object} options - Matching options
+     * @param {number} options.maxDistance - Maximum edit distance
+     */
+    constructor(loadWordList, { maxDistance = 2 } = {}) {
+      this.loadWordList = loadWordList;
+      this.maxDistance = maxDistance;
+      this.indexPromise = null;
+    }
+
+    /**
+     * Load and index the word list (once)
+     * @returns {Promise<{words: string[], bands: number[], byPhonetic: Map<string, number[]>}>}
+     *   Index: words, the frequency band of each word (0 = most common) and
+     *   word indexes by phonetic key
+     */
+    load() {
+      if (!this.indexPromise) {
+        this.indexPromise = Promise.resolve(this.loadWordList()).then((text) => {
+          const words = [];
+          const bands = [];
+          let band = -1;
+          for (const rawLine of text.split('\n')) {
+            const line = rawLine.trim();
+            if (/^# size \d+/.test(line)) {
+              band++;
+            } else if (line && !line.startsWith('#')) {
+              words.push(line);
+              bands.push(Math.max(band, 0));
+            }
+          }
+
+          const byPhonetic = new Map();
+          words.forEach((word, index) => {
+            const key = phoneticKey(word);
+            if (!byPhonetic.has(key)) {
+              byPhonetic.set(key, []);
+            }
+            byPhonetic.get(key).push(index);
+          });
+
+          return { words, bands, byPhonetic };
+        }).catch((error) => {
+          // Allow a later retry
+          this.indexPromise = null;
+          throw error;
+        });
+      }
+      return this.indexPromise;
+    }
+
+    /**
+     * Suggest words close to a misspelled or unknown word
+     * @param {string} input - Word that was not found
+     * @param {number} limit - Maximum number of suggestions
+     * @returns {Promise<string[]>} Suggestions, best first
+     */
+    async suggest(input, limit = 5) {
+      const word = input.trim().toLowerCase();
+      if (!word || word.length > 30) {
+        return [];
+      }
+
+      const { words, bands, byPhonetic } = await this.load();
+      const maxDistance = word.length <= 4 ? 1 : this.maxDistance;
+      const soundsLike = new Set(byPhonetic.get(phoneticKey(word)) || []);
+      const scored = [];
+
+      words.forEach((candidate, index) => {
+        if (candidate === word) {
+          return;
+        }
+        const phonetic = soundsLike.has(index);
+        const distance = editDistance(word, candidate, phonetic ? maxDistance + 1 : maxDistance);
+        if (distance > (phonetic ? maxDistance + 1 : maxDistance)) {
+          return;
+        }
+        // Phonetic matches get half an edit of credit; more common bands win ties
+        scored.push({ candidate, score: distance - (phonetic ? 0.5 : 0), band: bands[index] });
+      });
+
+      return scored
+        .sort((a, b) => a.score - b.score || a.band - b.band)
+        .slice(0, limit)
+        .map(item => item.candidate);
+    }
+  }
+
+  // Export suggestions to global scope (used by the service worker)
+  globalThis.QuickDefineSuggest = {
+    SuggestionEngine,
+    editDistance,
+    phoneticKey,
+  };
+})();
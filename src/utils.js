@@ -6,10 +6,28 @@
 const QUICKDEFINE_CONFIG = {
   // API Configuration
   API: {
-    BASE_URL: 'https://api.dictionaryapi.dev/api/v2/entries/en',
     TIMEOUT: 10000, // 10 seconds
     RETRY_ATTEMPTS: 2,
     RETRY_DELAY: 1000, // 1 second
+    // Dictionary providers, tried in priority order until one finds the word
+    PROVIDERS: [
+      {
+        ID: 'freedictionary',
+        NAME: 'Free Dictionary',
+        BASE_URL: 'https://api.dictionaryapi.dev/api/v2/entries',
+      },
+      {
+        ID: 'wiktionary',
+        NAME: 'Wiktionary',
+        BASE_URL: 'https://en.wiktionary.org/api/rest_v1/page/definition',
+      },
+    ],
+  },
+
+  // Language Configuration
+  LANGUAGE: {
+    DEFAULT: 'en', // Used when the page declares no language
+    OVERRIDE: '', // ISO 639-1 code to force a language; empty = detect from page
   },
 
   // Selection Configuration
@@ -19,6 +37,19 @@ const QUICKDEFINE_CONFIG = {
     MIN_LENGTH: 1,
   },
 
+  // Lookup Trigger Configuration
+  TRIGGER: {
+    MODE: 'select', // 'select' | 'modifier' | 'doubleclick' | 'hover' | 'shortcut'
+    MODIFIER: 'Alt', // Key held while selecting in 'modifier' mode
+    HOVER_DELAY: 600, // Dwell time over a word in 'hover' mode (milliseconds)
+  },
+
+  // Per-site Configuration
+  SITES: {
+    ENABLED_BY_DEFAULT: true, // Run on sites no rule matches
+    RULES: [], // [{ pattern, action: 'enable' | 'disable', trigger? }], most specific match wins
+  },
+
   // UI Configuration
   UI: {
     POPUP: {
@@ -29,6 +60,11 @@ const QUICKDEFINE_CONFIG = {
       VIEWPORT_MARGIN: 20, // Margin from viewport edges
       Z_INDEX: 2147483647, // Maximum z-index
       ANIMATION_DURATION: 200, // milliseconds
+      THEME: 'auto', // 'auto' (system) | 'page' (match page background) | 'light' | 'dark' | 'sepia' | 'high-contrast'
+      FONT_SIZE: 14, // Base font size (px); other text scales with it
+      FONT_FAMILY: 'system', // 'system' | 'serif' | 'sans-serif' | 'monospace'
+      DEFINITIONS_PER_MEANING: 3, // Definitions shown per part of speech before "Show more"
+      EXPAND_DEFINITIONS: false, // Show every definition; remembered from "Show more"/"Show less"
     },
   },
 
@@ -39,10 +75,63 @@ const QUICKDEFINE_CONFIG = {
       MAX_SIZE: 500, // Recent 500 words in memory
       TTL: 3600000, // 1 hour
     },
-    // API - Layer 2
+    // IndexedDB Cache - Layer 2
+    PERSISTENT_CACHE: {
+      ENABLED: true,
+      DB_NAME: 'quickdefine',
+      STORE_NAME: 'definitions',
+      VERSION: 3, // Bump when the shape of cached entries changes
+      MAX_ENTRIES: 5000,
+      TTL: 604800000, // 7 days
+    },
+    // API - Layer 3
     API_FALLBACK: {
       ENABLED: true,
     },
+    // Bundled dictionary - Layer 4, used when the API can't be reached
+    OFFLINE: {
+      ENABLED: true,
+      WORD_LIST: 'src/data/dictionary.txt', // WordNet subset, tab-separated
+      LANGUAGES: ['en'], // Languages the bundled dictionary covers
+    },
+  },
+
+  // Pronunciation Configuration
+  PRONUNCIATION: {
+    ACCENT: 'us', // Preferred recording and voice accent: 'us' | 'uk' | 'au'
+    VOICE: '', // Preferred speech synthesis voice name; empty = pick by language and accent
+    RATE: 1, // Playback speed (0.5-2)
+    SPEECH_FALLBACK: true, // Speak words that have no recording
+    AUDIO_CACHE_SIZE: 20, // Recordings kept loaded for replays
+  },
+
+  // Lemmatization Configuration (inflected forms → headword)
+  LEMMATIZATION: {
+    ENABLED: true,
+    MAX_CANDIDATES: 4, // Lemma lookups to try after a miss
+  },
+
+  // "Did you mean" Suggestions Configuration
+  SUGGESTIONS: {
+    ENABLED: true,
+    MAX_RESULTS: 5,
+    MAX_DISTANCE: 2, // Maximum edit distance (1 for words of 4 letters or less)
+    WORD_LIST: 'src/data/words.txt', // Bundled list, grouped into bands from most to least common
+    LANGUAGES: ['en'], // Languages the bundled list covers
+  },
+
+  // Phrase Lookup Configuration
+  PHRASES: {
+    ENABLED: true, // On a miss, try hyphenated/joined forms and the idiom list
+    IDIOM_LIST: 'src/data/idioms.txt', // Bundled list, tab-separated
+    LANGUAGES: ['en'], // Languages the bundled list covers
+    MAX_SPLIT_WORDS: 6, // Words defined one by one when nothing matches
+  },
+
+  // Lookup History Configuration
+  HISTORY: {
+    ENABLED: true,
+    MAX_ENTRIES: 1000, // Oldest lookups are dropped beyond this
   },
 
   // Selectors for elements to ignore
@@ -53,6 +142,17 @@ const QUICKDEFINE_CONFIG = {
     '[role="textbox"]',
   ],
 
+  // Sense Ranking Configuration
+  SENSE_RANKING: {
+    ENABLED: true, // Order meanings by how well they fit the selected sentence
+  },
+
+  // Editable Fields Configuration
+  EDITABLE: {
+    ENABLED: false, // Opt-in: look up words in text fields and rich editors
+    MAX_SYNONYMS: 8, // Synonyms offered as replacements
+  },
+
   // Keyboard shortcuts
   KEYBOARD: {
     ESC: 'Escape',
@@ -130,6 +230,227 @@ const QUICKDEFINE_CONFIG = {
     }
   }
 
+  /**
+   * Wrap an IDBRequest in a Promise
+   * @param {IDBRequest} request - IndexedDB request
+   * @returns {Promise<*>} Request result
+   */
+  function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Persistent cache backed by IndexedDB
+   * Survives page navigations and browser restarts. Entries expire after `ttl`
+   * and the least recently used ones are evicted beyond `maxEntries`.
+   * Every method resolves (never rejects) so a broken or unavailable
+   * IndexedDB simply behaves like an empty cache. It only opens in extension
+   * contexts (the service worker, extension pages): in a content script
+   * IndexedDB belongs to the web page, which could read the cache.
+   */
+  class PersistentCache {
+    constructor(options = {}) {
+      this.dbName = options.dbName || 'quickdefine';
+      this.storeName = options.storeName || 'definitions';
+      this.version = options.version || 1;
+      this.maxEntries = options.maxEntries || 5000;
+      this.ttl = options.ttl || 604800000;
+      this.dbPromise = null;
+    }
+
+    /**
+     * Open (or create/upgrade) the database
+     * @returns {Promise<IDBDatabase|null>} Database or null if unavailable
+     */
+    open() {
+      if (this.dbPromise) {
+        return this.dbPromise;
+      }
+
+      this.dbPromise = new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+          resolve(null);
+          return;
+        }
+        if (location.protocol !== 'chrome-extension:') {
+          console.warn('QuickDefine: Not opening the definition cache outside the extension');
+          resolve(null);
+          return;
+        }
+
+        let request;
+        try {
+          request = indexedDB.open(this.dbName, this.version);
+        } catch (error) {
+          console.warn('QuickDefine: IndexedDB unavailable', error);
+          resolve(null);
+          return;
+        }
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          // Cached entries are disposable, so any schema change simply
+          // recreates the store instead of migrating old records
+          if (db.objectStoreNames.contains(this.storeName)) {
+            db.deleteObjectStore(this.storeName);
+          }
+          const store = db.createObjectStore(this.storeName, { keyPath: 'key' });
+          store.createIndex('accessedAt', 'accessedAt');
+          store.createIndex('createdAt', 'createdAt');
+        };
+
+        request.onsuccess = () => {
+          const db = request.result;
+          // Let a newer version in another tab upgrade the schema
+          db.onversionchange = () => {
+            db.close();
+            this.dbPromise = null;
+          };
+          resolve(db);
+        };
+
+        request.onerror = () => {
+          console.warn('QuickDefine: Failed to open IndexedDB', request.error);
+          resolve(null);
+        };
+
+        request.onblocked = () => {
+          console.warn('QuickDefine: IndexedDB upgrade blocked by another tab');
+        };
+      });
+
+      return this.dbPromise;
+    }
+
+    /**
+     * Run a callback inside a transaction on the cache store
+     * @param {IDBTransactionMode} mode - 'readonly' | 'readwrite'
+     * @param {Function} callback - Receives the object store, may return a promise
+     * @returns {Promise<*>} Callback result, or null on failure
+     */
+    async withStore(mode, callback) {
+      const db = await this.open();
+      if (!db) {
+        return null;
+      }
+
+      try {
+        const tx = db.transaction(this.storeName, mode);
+        const done = new Promise((resolve, reject) => {
+          tx.oncomplete = resolve;
+          tx.onerror = () => reject(tx.error);
+          tx.onabort = () => reject(tx.error);
+        });
+        const result = await callback(tx.objectStore(this.storeName));
+        await done;
+        return result;
+      } catch (error) {
+        console.warn('QuickDefine: IndexedDB operation failed', error);
+        return null;
+      }
+    }
+
+    /**
+     * Get value from cache
+     * @param {string} key - Cache key
+     * @returns {Promise<*>} Cached value or null
+     */
+    async get(key) {
+      return this.withStore('readwrite', async (store) => {
+        const item = await promisifyRequest(store.get(key));
+        if (!item) {
+          return null;
+        }
+
+        if (Date.now() - item.createdAt > this.ttl) {
+          store.delete(key);
+          return null;
+        }
+
+        // Touch for LRU eviction
+        item.accessedAt = Date.now();
+        store.put(item);
+        return item.value;
+      });
+    }
+
+    /**
+     * Set value in cache and evict old entries if needed
+     * @param {string} key - Cache key
+     * @param {*} value - Structured-cloneable value
+     * @returns {Promise<void>}
+     */
+    async set(key, value) {
+      const now = Date.now();
+      await this.withStore('readwrite', (store) => {
+        store.put({ key, value, createdAt: now, accessedAt: now });
+      });
+      await this.prune();
+    }
+
+    /**
+     * Delete a single entry
+     * @param {string} key - Cache key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+      await this.withStore('readwrite', (store) => {
+        store.delete(key);
+      });
+    }
+
+    /**
+     * Remove expired entries, then the least recently used ones over the limit
+     * @returns {Promise<void>}
+     */
+    async prune() {
+      await this.withStore('readwrite', async (store) => {
+        const expired = IDBKeyRange.upperBound(Date.now() - this.ttl);
+        let cursor = await promisifyRequest(store.index('createdAt').openCursor(expired));
+        while (cursor) {
+          cursor.delete();
+          cursor.continue();
+          cursor = await promisifyRequest(cursor.request);
+        }
+
+        let excess = (await promisifyRequest(store.count())) - this.maxEntries;
+        if (excess <= 0) {
+          return;
+        }
+
+        cursor = await promisifyRequest(store.index('accessedAt').openCursor());
+        while (cursor && excess > 0) {
+          cursor.delete();
+          excess--;
+          cursor.continue();
+          cursor = await promisifyRequest(cursor.request);
+        }
+      });
+    }
+
+    /**
+     * Clear all cache entries
+     * @returns {Promise<void>}
+     */
+    async clear() {
+      await this.withStore('readwrite', (store) => {
+        store.clear();
+      });
+    }
+
+    /**
+     * Get cache size
+     * @returns {Promise<number>} Number of cached items
+     */
+    async size() {
+      const count = await this.withStore('readonly', (store) => promisifyRequest(store.count()));
+      return count || 0;
+    }
+  }
+
   /**
    * Sanitize HTML to prevent XSS attacks
    * @param {string} str - String to sanitize
@@ -223,30 +544,55 @@ const QUICKDEFINE_CONFIG = {
     return new AbortController();
   }
 
+  /**
+   * Create the error thrown when a caller cancels a request
+   * @returns {DOMException} AbortError
+   */
+  function createAbortError() {
+    return new DOMException('Request cancelled', 'AbortError');
+  }
+
   /**
    * Fetch with timeout and retry logic
    * @param {string} url - URL to fetch
-   * @param {Object} options - Fetch options
+   * @param {Object} options - Fetch options; `signal` cancels the request
+   *   (including pending retries) with an AbortError
    * @param {number} timeout - Timeout in milliseconds
    * @param {number} retries - Number of retry attempts
    * @returns {Promise<Response>} Fetch response
    */
   async function fetchWithTimeout(url, options = {}, timeout = 10000, retries = 2) {
+    const { signal, ...fetchOptions } = options;
+    if (signal && signal.aborted) {
+      throw createAbortError();
+    }
+
     const controller = createAbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    let timedOut = false;
+    const timeoutId = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+    const onAbort = () => controller.abort();
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
 
     try {
       const response = await fetch(url, {
-        ...options,
+        ...fetchOptions,
         signal: controller.signal,
       });
-      clearTimeout(timeoutId);
       return response;
     } catch (error) {
-      clearTimeout(timeoutId);
-      
-      if (error.name === 'AbortError') {
-        throw new Error('Request timeout');
+      if (signal && signal.aborted) {
+        throw createAbortError();
+      }
+
+      if (timedOut) {
+        const timeoutError = new Error('Request timeout');
+        timeoutError.name = 'TimeoutError';
+        throw timeoutError;
       }
 
       // Retry logic
@@ -256,6 +602,11 @@ const QUICKDEFINE_CONFIG = {
       }
 
       throw error;
+    } finally {
+      clearTimeout(timeoutId);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
     }
   }
 
@@ -277,110 +628,357 @@ const QUICKDEFINE_CONFIG = {
   }
 
   /**
-   * Dictionary Manager - API-first lookup system
-   * Manages dictionary lookups using in-memory cache and API fallback
+   * Dictionary Manager - 3-layer lookup system
+   * Manages dictionary lookups using in-memory cache, IndexedDB cache and
+   * a chain of dictionary providers
    */
   class DictionaryManager {
-    constructor(config) {
+    /**
+     * @param {Object} config - QuickDefine configuration
+     * @param {Array<Object>} providers - Dictionary providers in priority order
+     * @param {Object} options - Optional helpers
+     * @param {Object} options.lemmatizer - Lemmatizer ({supports, getLemmaCandidates})
+     * @param {Object} options.idioms - Idiom list ({supports, lookup})
+     * @param {Object} options.offline - Offline dictionary ({supports, lookup})
+     */
+    constructor(config, providers = [], { lemmatizer = null, idioms = null, offline = null } = {}) {
       this.config = config;
+      this.providers = providers;
+      this.lemmatizer = lemmatizer;
+      this.idioms = idioms;
+      this.offline = offline;
+      this.pending = new Map();
       this.cache = new SimpleCache(
         config.DICTIONARY.CACHE.MAX_SIZE,
         config.DICTIONARY.CACHE.TTL
       );
-      this.apiUrl = config.API.BASE_URL;
-      this.apiTimeout = config.API.TIMEOUT;
-      this.apiRetries = config.API.RETRY_ATTEMPTS;
+      const persistent = config.DICTIONARY.PERSISTENT_CACHE;
+      this.persistentCache = persistent.ENABLED
+        ? new PersistentCache({
+          dbName: persistent.DB_NAME,
+          storeName: persistent.STORE_NAME,
+          version: persistent.VERSION,
+          maxEntries: persistent.MAX_ENTRIES,
+          ttl: persistent.TTL,
+        })
+        : null;
     }
 
     /**
-     * Get definition using cache and API
+     * Get definition using cache and providers
      * @param {string} word - Word to look up
+     * @param {Object} options - Lookup options
+     * @param {string} options.language - ISO 639-1 language code
+     * @param {boolean} options.lemmatize - Retry inflected forms as their lemma on not_found
+     * @param {AbortSignal} [options.signal] - Cancels this caller's lookup
      * @returns {Promise<Object>} Definition result
+     *   ({data, source, sourceName, language, cached?, lemma?} or {error, message?});
+     *   `source` is the ID of the provider that answered and `lemma` is
+     *   {from, to} when the headword differs from the looked-up form;
+     *   `offline` is true when the bundled dictionary answered.
+     *   Resolves with {error: 'aborted'} once `signal` aborts.
+     */
+    getDefinition(word, { language = this.config.LANGUAGE.DEFAULT, lemmatize = true, signal = null } = {}) {
+      if (signal && signal.aborted) {
+        return Promise.resolve({ error: 'aborted' });
+      }
+
+      const trimmedWord = word.trim();
+      const cacheKey = `word_${language}_${trimmedWord.toLowerCase()}`;
+
+      // Concurrent lookups of the same word share one request, which is
+      // only cancelled once every caller has cancelled
+      const pendingKey = `${cacheKey}_${lemmatize}`;
+      let request = this.pending.get(pendingKey);
+      if (!request) {
+        const controller = new AbortController();
+        request = { controller, callers: 0, promise: null };
+        const current = request;
+        request.promise = this.resolveDefinition(trimmedWord, cacheKey, language, lemmatize, controller.signal)
+          .finally(() => {
+            if (this.pending.get(pendingKey) === current) {
+              this.pending.delete(pendingKey);
+            }
+          });
+        this.pending.set(pendingKey, request);
+      }
+      request.callers++;
+
+      if (!signal) {
+        return request.promise;
+      }
+
+      const shared = request;
+      return new Promise((resolve) => {
+        const onAbort = () => {
+          shared.callers--;
+          if (shared.callers === 0) {
+            shared.controller.abort();
+            if (this.pending.get(pendingKey) === shared) {
+              this.pending.delete(pendingKey);
+            }
+          }
+          resolve({ error: 'aborted' });
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        shared.promise.then((result) => {
+          signal.removeEventListener('abort', onAbort);
+          resolve(result);
+        });
+      });
+    }
+
+    /**
+     * Resolve a definition through the cache layers and providers
+     * @param {string} trimmedWord - Word to look up
+     * @param {string} cacheKey - Cache key for the word and language
+     * @param {string} language - ISO 639-1 language code
+     * @param {boolean} lemmatize - Retry inflected forms as their lemma on not_found
+     * @param {AbortSignal} signal - Cancels provider requests
+     * @returns {Promise<Object>} Definition result (see getDefinition)
      */
-    async getDefinition(word) {
-      const cleanWord = word.trim().toLowerCase();
+    async resolveDefinition(trimmedWord, cacheKey, language, lemmatize, signal) {
+      const cleanWord = trimmedWord.toLowerCase();
       const startTime = performance.now();
 
       // Layer 1: Check In-Memory Cache
-      const cachedResult = this.cache.get(`word_${cleanWord}`);
+      const cachedResult = this.cache.get(cacheKey);
       if (cachedResult) {
         const time = performance.now() - startTime;
         console.log(`QuickDefine: Found in cache (${time.toFixed(2)}ms)`);
-        return { data: cachedResult, source: 'cache' };
+        return { ...cachedResult, cached: 'memory' };
       }
 
-      // Layer 2: Fetch from API
-      try {
-        const result = await this.fetchFromAPI(cleanWord);
-        if (result.data) {
-          // Store in cache
-          this.cache.set(`word_${cleanWord}`, result.data);
+      // Layer 2: Check IndexedDB Cache
+      if (this.persistentCache) {
+        const storedResult = await this.persistentCache.get(cacheKey);
+        if (storedResult) {
+          this.cache.set(cacheKey, storedResult);
           const time = performance.now() - startTime;
-          console.log(`QuickDefine: Fetched from API (${time.toFixed(2)}ms)`);
-          return { ...result, source: 'api' };
+          console.log(`QuickDefine: Found in IndexedDB (${time.toFixed(2)}ms)`);
+          return { ...storedResult, cached: 'indexeddb' };
         }
-        return result;
-      } catch (error) {
-        const time = performance.now() - startTime;
-        console.error(`QuickDefine: API lookup failed (${time.toFixed(2)}ms)`, error);
-        return { error: 'network', message: formatErrorMessage(error) };
       }
+
+      // Layer 3: Fetch from providers, unless the browser knows it is offline
+      // Providers get the original casing (e.g. German nouns) and lowercase as needed
+      const online = typeof navigator === 'undefined' || navigator.onLine !== false;
+      let result = online
+        ? await this.fetchFromProviders(trimmedWord, language, signal)
+        : { error: 'network', message: 'No network connection' };
+
+      // Inflected forms: retry with candidate lemmas
+      if (result.error === 'not_found' && lemmatize) {
+        result = (await this.fetchLemma(cleanWord, language, signal)) || result;
+      }
+
+      // Phrases: retry as an idiom or a compound word
+      if (result.error === 'not_found' && lemmatize) {
+        result = (await this.fetchPhrase(trimmedWord, language, signal)) || result;
+      }
+
+      // Layer 4: No network, use the bundled dictionary
+      if ((result.error === 'network' || result.error === 'timeout') && !signal.aborted) {
+        result = (await this.fetchOffline(cleanWord, language)) || result;
+      }
+
+      const time = performance.now() - startTime;
+      if (signal.aborted) {
+        console.log(`QuickDefine: Lookup cancelled (${time.toFixed(2)}ms)`);
+        return { error: 'aborted' };
+      }
+      if (result.offline) {
+        // Not cached, so the full entry is fetched once the network is back
+        console.log(`QuickDefine: Found in offline dictionary (${time.toFixed(2)}ms)`);
+      } else if (result.data) {
+        // Store in both cache layers
+        this.cache.set(cacheKey, result);
+        if (this.persistentCache) {
+          this.persistentCache.set(cacheKey, result);
+        }
+        console.log(`QuickDefine: Fetched from ${result.sourceName} (${time.toFixed(2)}ms)`);
+      } else if (result.error !== 'not_found') {
+        console.error(`QuickDefine: Provider lookup failed (${time.toFixed(2)}ms)`, result);
+      }
+      return result;
     }
 
     /**
-     * Fetch definition from API
-     * @param {string} word - Word to fetch
-     * @returns {Promise<Object>} API response
+     * Look up candidate lemmas of an inflected word until one is found
+     * @param {string} word - Lowercased word that was not found
+     * @param {string} language - ISO 639-1 language code
+     * @param {AbortSignal} signal - Cancels the candidate lookups
+     * @returns {Promise<Object|null>} Result with `lemma: {from, to}`, or null
      */
-    async fetchFromAPI(word) {
-      const url = `${this.apiUrl}/${encodeURIComponent(word)}`;
-      const controller = createAbortController();
-      const timeoutId = setTimeout(() => controller.abort(), this.apiTimeout);
+    async fetchLemma(word, language, signal) {
+      const settings = this.config.LEMMATIZATION;
+      if (!this.lemmatizer || !settings.ENABLED || /\s/.test(word) || !this.lemmatizer.supports(language)) {
+        return null;
+      }
 
-      try {
-        const response = await fetchWithTimeout(
-          url,
-          {
-            signal: controller.signal,
-            headers: {
-              'Accept': 'application/json',
-            },
-          },
-          this.apiTimeout,
-          this.apiRetries
-        );
-
-        clearTimeout(timeoutId);
-
-        if (!response.ok) {
-          if (response.status === 404) {
-            return { error: 'not_found' };
+      const candidates = this.lemmatizer.getLemmaCandidates(word).slice(0, settings.MAX_CANDIDATES);
+      for (const candidate of candidates) {
+        if (signal.aborted) {
+          return null;
+        }
+        const { cached, ...result } = await this.getDefinition(candidate, { language, lemmatize: false, signal });
+        if (result.data) {
+          console.log(`QuickDefine: Using lemma "${candidate}" for "${word}"`);
+          return { ...result, lemma: { from: word, to: candidate } };
+        }
+      }
+      return null;
+    }
+
+    /**
+     * Look up a phrase that was not found as an idiom from the bundled list,
+     * then as a hyphenated ("ice cream" → "ice-cream") or, for two words,
+     * joined ("note book" → "notebook") compound
+     * @param {string} phrase - Trimmed phrase that was not found
+     * @param {string} language - ISO 639-1 language code
+     * @param {AbortSignal} signal - Cancels the variant lookups
+     * @returns {Promise<Object|null>} Result with `lemma: {from, to}` when the
+     *   headword differs, or null
+     */
+    async fetchPhrase(phrase, language, signal) {
+      const parts = phrase.split(/[\s-]+/).filter(Boolean);
+      if (!this.config.PHRASES.ENABLED || parts.length < 2) {
+        return null;
+      }
+
+      if (this.idioms && this.idioms.supports(language)) {
+        try {
+          const entry = await this.idioms.lookup(phrase);
+          if (entry) {
+            console.log(`QuickDefine: Using idiom "${entry.word}" for "${phrase}"`);
+            const result = { data: [entry], source: 'idioms', sourceName: 'QuickDefine idioms', language };
+            return entry.word === phrase.toLowerCase() ? result : { ...result, lemma: { from: phrase, to: entry.word } };
           }
-          throw new Error(`API error: ${response.status}`);
+        } catch (error) {
+          console.error('QuickDefine: Failed to load idioms', error);
         }
+      }
 
-        const data = await response.json();
-        return { data };
+      const variants = [parts.join('-')];
+      if (parts.length === 2) {
+        variants.push(parts.join(''));
+      }
+      for (const variant of variants.filter(candidate => candidate !== phrase)) {
+        if (signal.aborted) {
+          return null;
+        }
+        const { cached, ...result } = await this.getDefinition(variant, { language, lemmatize: false, signal });
+        if (result.data) {
+          console.log(`QuickDefine: Using "${variant}" for "${phrase}"`);
+          return { ...result, lemma: { from: phrase, to: variant } };
+        }
+      }
+      return null;
+    }
+
+    /**
+     * Look up a word in the bundled offline dictionary
+     * @param {string} word - Lowercased word the providers couldn't be asked about
+     * @param {string} language - ISO 639-1 language code
+     * @returns {Promise<Object|null>} Result with `offline: true` (and `lemma`
+     *   when the headword differs), or null
+     */
+    async fetchOffline(word, language) {
+      if (!this.offline || !this.config.DICTIONARY.OFFLINE.ENABLED || !this.offline.supports(language)) {
+        return null;
+      }
+
+      try {
+        const entry = await this.offline.lookup(word);
+        if (!entry) {
+          return null;
+        }
+        const result = { data: [entry], source: 'offline', sourceName: 'Offline dictionary', language, offline: true };
+        return entry.word === word ? result : { ...result, lemma: { from: word, to: entry.word } };
       } catch (error) {
-        clearTimeout(timeoutId);
-        if (error.name === 'AbortError') {
-          return { error: 'timeout' };
+        console.error('QuickDefine: Failed to load offline dictionary', error);
+        return null;
+      }
+    }
+
+    /**
+     * Try each provider in priority order, falling through on
+     * not_found, timeout or error
+     * @param {string} word - Trimmed word
+     * @param {string} language - ISO 639-1 language code
+     * @param {AbortSignal} [signal] - Cancels the provider requests
+     * @returns {Promise<Object>} {data, source, sourceName, language} or {error, message?}
+     */
+    async fetchFromProviders(word, language, signal = null) {
+      let notFound = false;
+      let lastFailure = null;
+
+      for (const provider of this.providers) {
+        if (!provider.supports(language)) {
+          continue;
+        }
+
+        let result;
+        try {
+          result = await provider.lookup(word, { language, signal });
+        } catch (error) {
+          result = { error: 'network', message: formatErrorMessage(error) };
+        }
+
+        // Cancelled: don't fall through to the next provider
+        if (result.error === 'aborted') {
+          return result;
+        }
+
+        if (result.data && result.data.length > 0) {
+          return { data: result.data, source: provider.id, sourceName: provider.name, language };
         }
-        throw error;
+
+        if (result.error === 'not_found') {
+          notFound = true;
+        } else {
+          lastFailure = result;
+          console.warn(`QuickDefine: ${provider.name} failed (${result.error}), trying next provider`);
+        }
+      }
+
+      if (!notFound && !lastFailure) {
+        return { error: 'unsupported_language', language };
+      }
+
+      // A definitive "not found" from any provider beats a transport failure
+      if (notFound) {
+        return { error: 'not_found' };
       }
+      return lastFailure;
     }
 
     /**
-     * Clear cache
+     * Apply a new configuration (e.g. after user settings change)
+     * @param {Object} config - Effective QuickDefine configuration
      */
-    clearCache() {
+    updateConfig(config) {
+      this.config = config;
+      this.cache.maxSize = config.DICTIONARY.CACHE.MAX_SIZE;
+      this.cache.ttl = config.DICTIONARY.CACHE.TTL;
+    }
+
+    /**
+     * Clear in-memory and IndexedDB caches
+     * @returns {Promise<void>}
+     */
+    async clearCache() {
       this.cache.clear();
+      if (this.persistentCache) {
+        await this.persistentCache.clear();
+      }
     }
   }
 
-  // Export utilities to global scope
-  window.QuickDefineUtils = {
+  // Export utilities to global scope (shared by content scripts and the service worker)
+  globalThis.QuickDefineUtils = {
     SimpleCache,
+    PersistentCache,
     DictionaryManager,
     sanitizeHTML,
     escapeHTML,